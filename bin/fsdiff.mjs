@@ -1,44 +1,156 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { FirestoreClient } from '../lib/firestore-client.mjs';
-import { compareDocuments, compareQueries } from '../lib/comparator.mjs';
-import { formatDiff } from '../lib/formatter.mjs';
+import { compareDocuments, compareDocumentList, compareDocumentPattern, compareQueries, compareDatabases, streamQueryDiff, createThreeWayDiff, hasThreeWayChanges } from '../lib/comparator.mjs';
+import { loadComparators } from '../lib/comparators.mjs';
+import { loadMapping } from '../lib/mapping.mjs';
+import { loadPathsFile } from '../lib/paths-file.mjs';
+import { formatDiff, formatThreeWayDiff, formatDatabaseDiff, formatQueryDiffEntry, formatQueryDiffSummary, countTypeChanges, countKeyIssues } from '../lib/formatter.mjs';
+import { loadSnapshot } from '../lib/snapshot.mjs';
+import { loadCheckpoint, saveCheckpoint, removeCheckpoint, getComparison } from '../lib/checkpoint.mjs';
+
+const FAIL_ON_CONDITIONS = ['type-change', 'duplicates'];
+const RESUME_PAGE_SIZE = 500;
 
 program
   .name('fsdiff')
   .description('Compare Firestore data between two projects or environments')
   .version('1.1.0')
-  .option('--mode <mode>', 'Comparison mode: doc or query', 'doc')
+  .option('--mode <mode>', 'Comparison mode: doc, query or db', 'doc')
   .option('--projectA <project>', 'Project ID for source A')
   .option('--projectB <project>', 'Project ID for source B')
-  .option('--pathA <path>', 'Document path for source A (doc mode)')
-  .option('--pathB <path>', 'Document path for source B (doc mode)')
-  .option('--collectionA <collection>', 'Collection path for source A (query mode)')
-  .option('--collectionB <collection>', 'Collection path for source B (query mode)')
+  .option('--pathA <path>', 'Document path for source A (doc mode); * segments match every document or collection')
+  .option('--pathB <path>', 'Document path for source B (doc mode); {1}, {2}… or * take the segments --pathA matched')
+  .option('--paths-file <file>', 'File listing documents to compare, one path, ID or "pathA -> pathB" pair per line (doc mode)')
+  .option('--recursive', 'Also compare subcollections under both documents (doc mode)', false)
+  .option('--depth <number>', 'Maximum subcollection depth for --recursive', parsePositiveInt)
+  .option('--collectionA <collection>', 'Collection path for source A (query mode, and for bare IDs in --paths-file)')
+  .option('--collectionB <collection>', 'Collection path for source B (query mode, and for bare IDs in --paths-file)')
+  .option('--collectionGroupA <id>', 'Collection group ID for source A, matching every collection with that ID (query mode)')
+  .option('--collectionGroupB <id>', 'Collection group ID for source B, matching every collection with that ID (query mode)')
+  .option('--include-collections <patterns>', 'Comma-separated root collection names or patterns to compare (db mode)')
+  .option('--exclude-collections <patterns>', 'Comma-separated root collection names or patterns to skip (db mode)')
   .option('--saA <path>', 'Service account JSON file for source A')
   .option('--saB <path>', 'Service account JSON file for source B')
+  .option('--emulatorA <host:port>', 'Read source A from a Firestore emulator instead of the project, without credentials')
+  .option('--emulatorB <host:port>', 'Read source B from a Firestore emulator instead of the project, without credentials')
   .option('--whereA <filter>', 'Query filter for source A (repeatable)', collectFilters, [])
   .option('--whereB <filter>', 'Query filter for source B (repeatable)', collectFilters, [])
-  .option('--fields <fields>', 'Comma-separated list of fields to compare')
-  .option('--ignore-fields <fields>', 'Comma-separated list of fields to ignore')
-  .option('--key <key>', 'Field to use as comparison key (default: id)', 'id')
-  .option('--format <format>', 'Output format: pretty, side-by-side, or json', 'pretty')
+  .option('--fields <fields>', 'Comma-separated list of field paths or patterns to compare')
+  .option('--ignore-fields <fields>', 'Comma-separated list of field paths or patterns to ignore')
+  .option('--key <key>', 'Field to use as comparison key, comma-separated fields for a composite key, __name__ for the document path, or a path template such as products/{product}/reviews/{review} (default: id)', 'id')
+  .option('--array-key <path=field>', 'Match elements of an array by a key field (repeatable)', collectArrayKeys, {})
+  .option('--num-tolerance <[pattern=]value>', 'Absolute tolerance for numeric fields (repeatable)', collectTolerances, [])
+  .option('--num-rel-tolerance <[pattern=]value>', 'Relative tolerance for numeric fields (repeatable)', collectTolerances, [])
+  .option('--time-tolerance <duration>', 'Treat Timestamp/Date values within this window as equal (e.g. 500ms, 2s, 1m)', parseDuration)
+  .option('--geo-tolerance <distance>', 'Treat GeoPoints within this distance as equal (e.g. 5m, 1.5km)', parseDistance)
+  .option('--no-detect-moves', 'Report moved fields as a removal plus an addition')
+  .option('--comparators <file>', 'Module exporting custom comparators keyed by field-path pattern')
+  .option('--mapping <file>', 'JSON file of field renames, value transforms and dropped fields applied to source A before diffing')
+  .option('--fail-on <conditions>', `Exit with code 3 when any of these are found: ${FAIL_ON_CONDITIONS.join(', ')}`, collectFailOn, [])
+  .option('--format <format>', 'Output format: pretty, side-by-side, json, or json-patch', 'pretty')
   .option('--output-dir <dir>', 'Directory to dump normalized JSON for later diffing')
+  .option('--base <snapshot>', 'Earlier --output-dir dump (directory or JSON file) to use as the common base for a three-way diff')
   .option('--output-format <format>', 'Format for output files: json, yaml, or text', 'json')
   .option('--separate-files', 'Create separate files per document/field for granular diffing', false)
   .option('--limit <number>', 'Limit number of documents in query mode', parseInt)
-  .option('--stream', 'Use streaming for large queries', false)
+  .option('--fast', 'Compare per-document hashes and fetch and diff only documents whose hashes differ (query and db modes)', false)
+  .option('--ranges', 'Locate differences by comparing aggregate fingerprints of key ranges (query and db modes)', false)
+  .option('--range-size <number>', 'Largest key range --ranges fetches and diffs instead of splitting', parsePositiveInt, 100)
+  .option('--fingerprint-fields <fields>', 'Comma-separated numeric fields summed into --ranges fingerprints (required with --ranges)')
+  .option('--sample <number>', 'Compare a random sample of this many documents, probed by document ID (query mode)', parsePositiveInt)
+  .option('--sample-by <field>', 'Stratify --sample evenly across the values of this field')
+  .option('--seed <number>', 'Seed for --sample, to reproduce an earlier run', parseSeed)
+  .option('--stream', 'Merge-join queries ordered by key, printing differences as they are found', false)
+  .option('--page-size <number>', 'Read queries in pages of this many documents, each starting after the last (query and db modes)', parsePositiveInt)
+  .option('--resume <state>', `Checkpoint --stream progress to this file and continue from it after an interruption (pages of ${RESUME_PAGE_SIZE} unless --page-size)`)
+  .option('--max-retries <number>', 'Retries of a read after a transient Firestore error (UNAVAILABLE, DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED), 0 to disable (default: 5)', parseNonNegativeInt)
+  .option('--retry-timeout <duration>', 'Stop retrying a read this long after its first transient error (e.g. 30s, 2m; default: 1m)', parseDuration)
   .option('--verbose', 'Enable verbose output', false);
 
 function collectFilters(value, previous) {
   return previous.concat([value]);
 }
 
+function collectArrayKeys(value, previous) {
+  const [arrayPath, keyField] = value.split('=').map(part => part.trim());
+  if (!arrayPath || !keyField) {
+    throw new InvalidArgumentError(`Expected <path>=<field>, got "${value}"`);
+  }
+  return { ...previous, [arrayPath]: keyField };
+}
+
+function collectTolerances(value, previous) {
+  const separator = value.lastIndexOf('=');
+  const pattern = separator === -1 ? '**' : value.slice(0, separator).trim();
+  const tolerance = Number(value.slice(separator + 1));
+
+  if (!pattern || value.slice(separator + 1).trim() === '' || !(tolerance >= 0)) {
+    throw new InvalidArgumentError(`Expected [<pattern>=]<non-negative number>, got "${value}"`);
+  }
+
+  return previous.concat([{ pattern, value: tolerance }]);
+}
+
+function collectFailOn(value, previous) {
+  const conditions = value.split(',').map(condition => condition.trim());
+  const unknown = conditions.filter(condition => !FAIL_ON_CONDITIONS.includes(condition));
+
+  if (unknown.length > 0) {
+    throw new InvalidArgumentError(`Unknown condition "${unknown[0]}". Use: ${FAIL_ON_CONDITIONS.join(', ')}`);
+  }
+
+  return previous.concat(conditions);
+}
+
+function parsePositiveInt(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError(`Expected a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parseNonNegativeInt(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new InvalidArgumentError(`Expected a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parseSeed(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0 || number >= 2 ** 32) {
+    throw new InvalidArgumentError(`Expected an integer between 0 and ${2 ** 32 - 1}, got "${value}"`);
+  }
+  return number;
+}
+
+function parseDuration(value) {
+  return parseQuantity(value, { ms: 1, s: 1000, m: 60000, h: 3600000 }, 'ms', 'a duration such as 500ms, 2s or 1m');
+}
+
+function parseDistance(value) {
+  return parseQuantity(value, { m: 1, km: 1000 }, 'm', 'a distance such as 5m or 1.5km');
+}
+
+function parseQuantity(value, units, defaultUnit, description) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(value);
+  const unit = match && (match[2].toLowerCase() || defaultUnit);
+
+  if (!match || !(unit in units)) {
+    throw new InvalidArgumentError(`Expected ${description}, got "${value}"`);
+  }
+
+  return Number(match[1]) * units[unit];
+}
+
 async function main() {
   const options = program.parse(process.argv).opts();
   
@@ -47,31 +159,129 @@ async function main() {
   }
 
   const spinner = ora('Initializing Firestore clients...').start();
+  const clients = [];
 
   try {
     if (!options.projectA || !options.projectB) {
       throw new Error('Both projectA and projectB are required');
     }
 
+    if (options.base && (options.stream || !['pretty', 'json'].includes(options.format))) {
+      throw new Error('--base supports only the pretty and json formats and cannot be combined with --stream');
+    }
+
+    const recursive = options.recursive || options.depth !== undefined;
+    if (recursive && (options.mode !== 'doc' || options.base || !['pretty', 'json'].includes(options.format))) {
+      throw new Error('--recursive is only available in doc mode with the pretty and json formats, without --base');
+    }
+
+    if (options.mode === 'db' && (options.base || !['pretty', 'json'].includes(options.format))) {
+      throw new Error('db mode supports only the pretty and json formats and cannot be combined with --base');
+    }
+
+    if (options.fast && (options.mode === 'doc' || options.stream || options.outputDir || options.base)) {
+      throw new Error('--fast is only available in query and db modes, without --stream, --output-dir or --base');
+    }
+
+    if (options.ranges && (options.mode === 'doc' || options.stream || options.fast || options.limit || options.outputDir || options.base)) {
+      throw new Error('--ranges is only available in query and db modes, without --stream, --fast, --limit, --output-dir or --base');
+    }
+
+    if (options.ranges && !options.fingerprintFields) {
+      throw new Error('--ranges needs --fingerprint-fields, such as a version counter; a document count alone misses changed documents');
+    }
+
+    if (options.sampleBy && !options.sample) {
+      throw new Error('--sample-by requires --sample');
+    }
+
+    if (options.sample && (options.mode !== 'query' || options.stream || options.fast || options.ranges || options.limit || options.base)) {
+      throw new Error('--sample is only available in query mode, without --stream, --fast, --ranges, --limit or --base');
+    }
+
+    if (options.pathsFile && (options.mode !== 'doc' || options.pathA || options.pathB || recursive || options.base)) {
+      throw new Error('--paths-file is only available in doc mode, without --pathA, --pathB, --recursive or --base');
+    }
+
+    const wildcard = options.mode === 'doc' && options.pathA?.split('/').includes('*');
+    if (wildcard && (recursive || options.base)) {
+      throw new Error('Wildcard document paths cannot be combined with --recursive or --base');
+    }
+
+    if (options.mapping && (options.mode === 'db' || options.ranges || options.base)) {
+      throw new Error('--mapping is only available in doc and query modes, without --ranges or --base');
+    }
+
+    if (options.resume && (options.mode !== 'query' || !options.stream || options.format !== 'pretty' || options.limit)) {
+      throw new Error('--resume is only available with --stream in query mode with the pretty format, without --limit');
+    }
+
+    if (options.stream && options.outputDir) {
+      throw new Error('--output-dir cannot be combined with --stream, which does not keep documents in memory');
+    }
+
+    const comparators = options.comparators ? await loadComparators(options.comparators) : undefined;
+    const mapping = options.mapping ? await loadMapping(options.mapping) : undefined;
+    const pairs = options.pathsFile
+      ? await loadPathsFile(options.pathsFile, { collectionA: options.collectionA, collectionB: options.collectionB })
+      : undefined;
+    const base = options.base ? await loadSnapshot(options.base) : undefined;
+
     const clientA = new FirestoreClient({
       projectId: options.projectA,
-      serviceAccountPath: options.saA
+      serviceAccountPath: options.saA,
+      emulatorHost: options.emulatorA,
+      maxRetries: options.maxRetries,
+      retryTimeout: options.retryTimeout
     });
 
     const clientB = new FirestoreClient({
       projectId: options.projectB,
-      serviceAccountPath: options.saB
+      serviceAccountPath: options.saB,
+      emulatorHost: options.emulatorB,
+      maxRetries: options.maxRetries,
+      retryTimeout: options.retryTimeout
     });
 
+    clients.push(clientA, clientB);
+
     await clientA.initialize();
     await clientB.initialize();
 
     spinner.succeed('Firestore clients initialized');
 
+    const compareOptions = {
+      fields: options.fields?.split(',').map(field => field.trim()),
+      ignoreFields: options.ignoreFields?.split(',').map(field => field.trim()),
+      arrayKeys: options.arrayKey,
+      numTolerance: options.numTolerance,
+      numRelTolerance: options.numRelTolerance,
+      timeTolerance: options.timeTolerance,
+      geoTolerance: options.geoTolerance,
+      detectMoves: options.detectMoves,
+      comparators,
+      mapping
+    };
+
+    const collectionA = options.collectionGroupA ? `group:${options.collectionGroupA}` : options.collectionA;
+    const collectionB = options.collectionGroupB ? `group:${options.collectionGroupB}` : options.collectionB;
+
     let result;
-    if (options.mode === 'doc') {
+    if (options.mode === 'doc' && pairs) {
+      spinner.start(`Fetching ${pairs.length} document pairs...`);
+      result = await compareDocumentList(clientA, clientB, pairs, compareOptions);
+      spinner.succeed(`${pairs.length} document pairs fetched and compared`);
+    } else if (wildcard) {
+      if (!options.pathB) {
+        throw new Error('--pathB is required with a wildcard --pathA');
+      }
+
+      spinner.start(`Expanding ${options.pathA}...`);
+      result = await compareDocumentPattern(clientA, clientB, options.pathA, options.pathB, compareOptions);
+      spinner.succeed(`${result.normalizedA.length} documents matching ${options.pathA} compared`);
+    } else if (options.mode === 'doc') {
       if (!options.pathA || !options.pathB) {
-        throw new Error('Both pathA and pathB are required in doc mode');
+        throw new Error('Both pathA and pathB (or --paths-file) are required in doc mode');
       }
       
       spinner.start('Fetching documents...');
@@ -81,35 +291,70 @@ async function main() {
         options.pathA,
         options.pathB,
         {
-          fields: options.fields?.split(','),
-          ignoreFields: options.ignoreFields?.split(',')
+          ...compareOptions,
+          key: options.key,
+          recursive,
+          depth: options.depth
         }
       );
       spinner.succeed('Documents fetched and compared');
     } else if (options.mode === 'query') {
-      if (!options.collectionA || !options.collectionB) {
-        throw new Error('Both collectionA and collectionB are required in query mode');
+      if (!collectionA || !collectionB) {
+        throw new Error('Both collectionA and collectionB (or collectionGroupA and collectionGroupB) are required in query mode');
       }
 
-      spinner.start('Executing queries...');
-      result = await compareQueries(
+      const queryOptions = {
+        ...compareOptions,
+        collectionA,
+        collectionB,
+        whereA: options.whereA,
+        whereB: options.whereB,
+        key: options.key,
+        limit: options.limit,
+        stream: options.stream,
+        pageSize: options.pageSize ?? (options.resume ? RESUME_PAGE_SIZE : undefined),
+        fast: options.fast,
+        ranges: options.ranges,
+        rangeSize: options.rangeSize,
+        fingerprintFields: options.fingerprintFields?.split(',').map(field => field.trim()),
+        sample: options.sample,
+        sampleBy: options.sampleBy,
+        seed: options.seed
+      };
+
+      if (options.stream && options.format === 'pretty') {
+        spinner.succeed('Streaming query comparison');
+        result = await printQueryDiffStream(clientA, clientB, queryOptions, options.resume);
+      } else {
+        spinner.start('Executing queries...');
+        result = await compareQueries(clientA, clientB, queryOptions);
+        spinner.succeed(result.sample
+          ? `Sampled ${result.sample.size} documents (seed ${result.sample.seed})`
+          : 'Queries executed and compared');
+      }
+    } else if (options.mode === 'db') {
+      spinner.start('Comparing collections...');
+      result = await compareDatabases(
         clientA,
         clientB,
         {
-          collectionA: options.collectionA,
-          collectionB: options.collectionB,
-          whereA: options.whereA,
-          whereB: options.whereB,
+          ...compareOptions,
+          includeCollections: options.includeCollections?.split(',').map(pattern => pattern.trim()),
+          excludeCollections: options.excludeCollections?.split(',').map(pattern => pattern.trim()),
+          keepDocuments: Boolean(options.outputDir),
           key: options.key,
-          fields: options.fields?.split(','),
-          ignoreFields: options.ignoreFields?.split(','),
           limit: options.limit,
-          stream: options.stream
+          stream: options.stream,
+          pageSize: options.pageSize,
+          fast: options.fast,
+          ranges: options.ranges,
+          rangeSize: options.rangeSize,
+          fingerprintFields: options.fingerprintFields?.split(',').map(field => field.trim())
         }
       );
-      spinner.succeed('Queries executed and compared');
+      spinner.succeed(`${result.diff.collections.length} collections compared`);
     } else {
-      throw new Error(`Invalid mode: ${options.mode}. Use 'doc' or 'query'`);
+      throw new Error(`Invalid mode: ${options.mode}. Use 'doc', 'query' or 'db'`);
     }
 
     if (options.outputDir) {
@@ -121,23 +366,55 @@ async function main() {
           format: options.outputFormat,
           separateFiles: options.separateFiles,
           mode: options.mode,
-          pathA: options.pathA,
-          pathB: options.pathB,
-          collectionA: options.collectionA,
-          collectionB: options.collectionB
+          pathA: options.pathA ?? options.pathsFile,
+          pathB: options.pathB ?? options.pathsFile,
+          collectionA,
+          collectionB
         }
       );
       console.log(chalk.green(`✓ Normalized data saved to ${options.outputDir}`));
     }
 
-    const formatted = formatDiff(result.diff, options.format);
+    let formatted;
+    if (result.summary) {
+      formatted = formatQueryDiffSummary(result.summary);
+    } else if (options.mode === 'db') {
+      formatted = formatDatabaseDiff(result.diff, options.format);
+    } else if (base) {
+      const threeWay = createThreeWayDiff(base, result.normalizedA, result.normalizedB, {
+        ...compareOptions,
+        key: options.key
+      });
+      result.hasDifferences = hasThreeWayChanges(threeWay);
+      formatted = formatThreeWayDiff(threeWay, options.format);
+    } else {
+      formatted = formatDiff(result.diff, options.format, {
+        suppressed: result.suppressed,
+        documentA: result.normalizedA,
+        collections: result.collections,
+        checkedByHash: result.checkedByHash,
+        missing: result.missing,
+        ranges: result.ranges,
+        sample: result.sample
+      });
+    }
     
-    if (options.format === 'json') {
+    if (options.format === 'json' || options.format === 'json-patch') {
       console.log(JSON.stringify(formatted, null, 2));
     } else {
       console.log(formatted);
     }
 
+    if (options.verbose) {
+      printRetries(clients);
+    }
+
+    const violations = findPolicyViolations(result, options.failOn);
+    if (violations.length > 0) {
+      console.log(chalk.red(`\n✗ Failing on ${violations.join(', ')}`));
+      process.exit(3);
+    }
+
     if (result.hasDifferences) {
       console.log(chalk.yellow('\n⚠ Differences found'));
       process.exit(2);
@@ -148,19 +425,92 @@ async function main() {
   } catch (error) {
     spinner.fail(chalk.red(`Error: ${error.message}`));
     if (options.verbose) {
+      printRetries(clients);
       console.error(error.stack);
     }
     process.exit(1);
   }
 }
 
+function printRetries(clients) {
+  if (clients.length > 0) {
+    const [clientA, clientB] = clients;
+    console.error(chalk.gray(`Retries after transient Firestore errors: A ${clientA.retries}, B ${clientB.retries}`));
+  }
+}
+
+// With a state file, progress is checkpointed as the merge-join goes and an
+// earlier run's state is picked up: printing restarts at its last checkpoint,
+// and the summary covers both runs. The file is removed once the run completes.
+async function printQueryDiffStream(clientA, clientB, queryOptions, statePath) {
+  const comparison = getComparison(queryOptions);
+  const state = statePath ? await loadCheckpoint(statePath, comparison) : undefined;
+  const summary = state?.summary ?? { added: 0, removed: 0, changed: 0, typeChanges: 0, duplicates: 0, unkeyed: 0 };
+
+  if (state) {
+    console.log(chalk.gray(`Resuming from ${statePath}`));
+  }
+
+  const entries = streamQueryDiff(clientA, clientB, {
+    ...queryOptions,
+    checkpoints: Boolean(statePath),
+    resume: state && { a: state.a, b: state.b }
+  });
+
+  for await (const entry of entries) {
+    if (entry.type === 'checkpoint') {
+      await saveCheckpoint(statePath, { comparison, summary, a: entry.a, b: entry.b });
+      continue;
+    }
+    if (entry.type === 'suppressed') continue;
+
+    summary[entry.type] += entry.type === 'unkeyed' ? entry.ids.length : 1;
+    if (entry.type === 'changed') {
+      summary.typeChanges += countTypeChanges(entry.diff);
+    }
+    process.stdout.write(formatQueryDiffEntry(entry));
+  }
+
+  if (statePath) {
+    await removeCheckpoint(statePath);
+  }
+
+  return {
+    summary,
+    hasDifferences: summary.added > 0 || summary.removed > 0 || summary.changed > 0
+  };
+}
+
+function findPolicyViolations(result, failOn) {
+  const violations = [];
+
+  if (failOn.includes('type-change')) {
+    const typeChanges = result.summary ? result.summary.typeChanges : countTypeChanges(result.diff);
+    if (typeChanges > 0) {
+      violations.push(`${typeChanges} type change${typeChanges === 1 ? '' : 's'}`);
+    }
+  }
+
+  if (failOn.includes('duplicates')) {
+    const { duplicates, unkeyed } = result.summary || countKeyIssues(result.diff);
+    if (duplicates > 0) {
+      violations.push(`${duplicates} duplicate key${duplicates === 1 ? '' : 's'}`);
+    }
+    if (unkeyed > 0) {
+      violations.push(`${unkeyed} unkeyed document${unkeyed === 1 ? '' : 's'}`);
+    }
+  }
+
+  return violations;
+}
+
 async function saveNormalizedData(outputDir, dataA, dataB, options = {}) {
   await fs.mkdir(outputDir, { recursive: true });
   
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
   const { format = 'json', separateFiles = false, mode, pathA, pathB, collectionA, collectionB } = options;
   
-  if (separateFiles && Array.isArray(dataA) && Array.isArray(dataB)) {
+  if (separateFiles && (mode === 'db' || (Array.isArray(dataA) && Array.isArray(dataB)))) {
     await saveSeparateFiles(outputDir, dataA, dataB, { format, timestamp, mode });
   } else {
     await saveCombinedFiles(outputDir, dataA, dataB, { format, timestamp, mode, pathA, pathB, collectionA, collectionB });
@@ -173,14 +523,17 @@ async function saveNormalizedData(outputDir, dataA, dataB, options = {}) {
 async function saveCombinedFiles(outputDir, dataA, dataB, options) {
   const { format, timestamp, mode, pathA, pathB, collectionA, collectionB } = options;
   const ext = getFileExtension(format);
+  const describedA = describeSource(dataA, mode);
+  const describedB = describeSource(dataB, mode);
   
   const metadata = {
     mode,
     timestamp: new Date().toISOString(),
     sourceA: mode === 'doc' ? pathA : collectionA,
     sourceB: mode === 'doc' ? pathB : collectionB,
-    countA: Array.isArray(dataA) ? dataA.length : 1,
-    countB: Array.isArray(dataB) ? dataB.length : 1
+    countA: describedA.count,
+    countB: describedB.count,
+    ...(mode === 'db' && { collectionsA: describedA.collections, collectionsB: describedB.collections })
   };
   
   const contentA = formatContent(dataA, format, metadata);
@@ -193,32 +546,37 @@ async function saveCombinedFiles(outputDir, dataA, dataB, options) {
   ]);
 }
 
+// In db mode each collection's documents go into a subdirectory of its own.
 async function saveSeparateFiles(outputDir, dataA, dataB, options) {
-  const { format, timestamp } = options;
+  const { format, timestamp, mode } = options;
   const ext = getFileExtension(format);
   
   // Create subdirectories
   const dirA = path.join(outputDir, 'sourceA', timestamp);
   const dirB = path.join(outputDir, 'sourceB', timestamp);
   
-  await Promise.all([
-    fs.mkdir(dirA, { recursive: true }),
-    fs.mkdir(dirB, { recursive: true })
-  ]);
+  const groups = [];
+  for (const [dir, data] of [[dirA, dataA], [dirB, dataB]]) {
+    if (mode === 'db') {
+      for (const [name, docs] of Object.entries(data)) {
+        groups.push([path.join(dir, name), docs]);
+      }
+    } else {
+      groups.push([dir, data]);
+    }
+  }
+  
+  await Promise.all(groups.map(([dir]) => fs.mkdir(dir, { recursive: true })));
   
   // Save each document as a separate file
   const savePromises = [];
   
-  for (const [index, doc] of dataA.entries()) {
-    const filename = doc._id ? `${doc._id}.${ext}` : `doc-${index}.${ext}`;
-    const content = formatContent(doc, format);
-    savePromises.push(fs.writeFile(path.join(dirA, filename), content));
-  }
-  
-  for (const [index, doc] of dataB.entries()) {
-    const filename = doc._id ? `${doc._id}.${ext}` : `doc-${index}.${ext}`;
-    const content = formatContent(doc, format);
-    savePromises.push(fs.writeFile(path.join(dirB, filename), content));
+  for (const [dir, docs] of groups) {
+    for (const [index, doc] of docs.entries()) {
+      const filename = doc._id ? `${doc._id}.${ext}` : `doc-${index}.${ext}`;
+      const content = formatContent(doc, format);
+      savePromises.push(fs.writeFile(path.join(dir, filename), content));
+    }
   }
   
   await Promise.all(savePromises);
@@ -230,14 +588,8 @@ async function createDiffSummary(outputDir, dataA, dataB, options) {
   const summary = {
     timestamp: new Date().toISOString(),
     comparison: {
-      sourceA: {
-        type: Array.isArray(dataA) ? 'collection' : 'document',
-        count: Array.isArray(dataA) ? dataA.length : 1
-      },
-      sourceB: {
-        type: Array.isArray(dataB) ? 'collection' : 'document', 
-        count: Array.isArray(dataB) ? dataB.length : 1
-      }
+      sourceA: describeSource(dataA, options.mode),
+      sourceB: describeSource(dataB, options.mode)
     },
     files: {
       sourceA: `sourceA-${timestamp}.${getFileExtension(options.format)}`,
@@ -259,6 +611,17 @@ async function createDiffSummary(outputDir, dataA, dataB, options) {
   );
 }
 
+// A dump holds one document, a collection's documents, or in db mode each
+// collection's documents keyed by collection name.
+function describeSource(data, mode) {
+  if (mode === 'db') {
+    const collections = Object.fromEntries(Object.entries(data).map(([name, docs]) => [name, docs.length]));
+    return { type: 'database', count: Object.values(collections).reduce((sum, count) => sum + count, 0), collections };
+  }
+
+  return Array.isArray(data) ? { type: 'collection', count: data.length } : { type: 'document', count: 1 };
+}
+
 function formatContent(data, format, metadata = {}) {
   switch (format) {
     case 'json':
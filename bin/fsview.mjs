@@ -13,8 +13,9 @@ program
   .option('--project <project>', 'Firebase project ID')
   .option('--path <path>', 'Document path (e.g., users/user123 or users/user123/posts/post456)')
   .option('--sa <path>', 'Service account JSON file path')
-  .option('--fields <fields>', 'Comma-separated list of fields to include')
-  .option('--ignore-fields <fields>', 'Comma-separated list of fields to ignore')
+  .option('--emulator <host:port>', 'Read from a Firestore emulator instead of the project, without credentials')
+  .option('--fields <fields>', 'Comma-separated list of field paths or patterns to include')
+  .option('--ignore-fields <fields>', 'Comma-separated list of field paths or patterns to ignore')
   .option('--pretty', 'Pretty print JSON output', false);
 
 program.parse();
@@ -42,37 +43,32 @@ async function main() {
     // Initialize Firestore client
     const client = new FirestoreClient({
       projectId: options.project,
-      serviceAccountPath: options.sa
+      serviceAccountPath: options.sa,
+      emulatorHost: options.emulator
     });
 
     await client.initialize();
     spinner.text = 'Fetching document...';
 
     // Get the document
-    const docRef = client.db.doc(options.path);
-    const docSnapshot = await docRef.get();
+    const doc = await client.getDocument(options.path);
 
-    if (!docSnapshot.exists) {
+    if (!doc) {
       spinner.fail(chalk.red(`Document not found: ${options.path}`));
       process.exit(1);
     }
 
     spinner.succeed(chalk.green(`Document retrieved: ${options.path}`));
 
-    // Get document data
-    const docData = docSnapshot.data();
-    const documentWithId = {
-      _id: docSnapshot.id,
-      _path: docSnapshot.ref.path,
-      ...docData
+    // Apply field filtering and normalization (same path patterns as fsdiff)
+    const normalizedDoc = {
+      _path: options.path,
+      ...normalizeDocument(doc, {
+        fields: includeFields,
+        ignoreFields
+      })
     };
 
-    // Apply field filtering and normalization
-    const normalizedDoc = normalizeDocument(documentWithId, {
-      includeFields,
-      ignoreFields
-    });
-
     // Output JSON
     const jsonOutput = options.pretty
       ? JSON.stringify(normalizedDoc, null, 2)
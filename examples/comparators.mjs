@@ -0,0 +1,24 @@
+// Example comparators module for `fsdiff --comparators ./examples/comparators.mjs`.
+// Keys are field-path patterns; values return true (equal), false (changed)
+// or an array of diff entries.
+
+const digitsOnly = value => String(value).replace(/\D/g, '');
+
+export default {
+  // Email addresses are case-insensitive
+  '**.email': (a, b) => String(a).toLowerCase() === String(b).toLowerCase(),
+
+  // "+1 (555) 010-0100" and "15550100100" are the same number
+  '**.phone': (a, b) => digitsOnly(a) === digitsOnly(b),
+
+  // JSON-encoded settings are compared parsed, and differences reported per key
+  'settingsJson': (a, b, path) => {
+    const parsedA = JSON.parse(a);
+    const parsedB = JSON.parse(b);
+    const keys = new Set([...Object.keys(parsedA), ...Object.keys(parsedB)]);
+
+    return [...keys]
+      .filter(key => JSON.stringify(parsedA[key]) !== JSON.stringify(parsedB[key]))
+      .map(key => ({ type: 'changed', path: `${path}.${key}`, oldValue: parsedA[key], newValue: parsedB[key] }));
+  }
+};
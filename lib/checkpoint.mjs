@@ -0,0 +1,72 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { deepEqual } from './differ.mjs';
+
+// State for `--resume`: the comparison it belongs to, the summary so far and
+// the per-side cursor state from the latest `checkpoint` entry of
+// streamQueryDiff. Returns undefined when there is nothing to resume.
+export async function loadCheckpoint(statePath, comparison) {
+  const resolved = path.resolve(statePath);
+  let content;
+
+  try {
+    content = await fs.readFile(resolved, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw new Error(`Failed to read resume state ${resolved}: ${error.message}`);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid resume state file at ${resolved}: ${error.message}`);
+  }
+
+  // Compared as saved, i.e. without undefined options.
+  if (!deepEqual(state.comparison, JSON.parse(JSON.stringify(comparison)))) {
+    throw new Error(`Resume state ${resolved} belongs to a different comparison; remove it to start over`);
+  }
+
+  return state;
+}
+
+// Identifies a streamed comparison by every option that decides which documents
+// are paired or what counts as a difference, so a resumed run never adds its
+// summary to one from a different comparison. Comparators are functions and are
+// identified by their field patterns.
+export function getComparison(options) {
+  return {
+    collectionA: options.collectionA,
+    collectionB: options.collectionB,
+    whereA: options.whereA,
+    whereB: options.whereB,
+    key: options.key,
+    fields: options.fields,
+    ignoreFields: options.ignoreFields,
+    arrayKeys: options.arrayKeys,
+    numTolerance: options.numTolerance,
+    numRelTolerance: options.numRelTolerance,
+    timeTolerance: options.timeTolerance,
+    geoTolerance: options.geoTolerance,
+    detectMoves: options.detectMoves,
+    comparators: options.comparators?.map(({ pattern }) => pattern),
+    mapping: options.mapping
+  };
+}
+
+// Written to a temporary file and renamed into place, so an interrupted write
+// leaves the previous checkpoint intact.
+export async function saveCheckpoint(statePath, state) {
+  const resolved = path.resolve(statePath);
+  const temporary = `${resolved}.tmp`;
+
+  await fs.writeFile(temporary, JSON.stringify(state, null, 2));
+  await fs.rename(temporary, resolved);
+}
+
+export async function removeCheckpoint(statePath) {
+  await fs.rm(path.resolve(statePath), { force: true });
+}
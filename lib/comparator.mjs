@@ -1,5 +1,8 @@
-import { normalizeDocument, normalizeQueryResults, filterFields } from './normalizer.mjs';
-import { createDiff } from './differ.mjs';
+import { createHash } from 'crypto';
+import { normalizeValue, normalizeDocument, normalizeQueryResults, filterFields } from './normalizer.mjs';
+import { createDiff, createDiffReport, deepEqual } from './differ.mjs';
+import { matchAnyPath } from './path-matcher.mjs';
+import { applyMapping } from './mapping.mjs';
 
 export async function compareDocuments(clientA, clientB, pathA, pathB, options = {}) {
   const [docA, docB] = await Promise.all([
@@ -7,20 +10,222 @@ export async function compareDocuments(clientA, clientB, pathA, pathB, options =
     clientB.getDocument(pathB)
   ]);
 
-  const normalizedA = normalizeDocument(docA, options);
+  const normalizedA = normalizeDocument(docA, getMappingSourceOptions(options, options.mapping));
   const normalizedB = normalizeDocument(docB, options);
 
-  const filteredA = filterFields(normalizedA, options);
+  const filteredA = filterFields(applyMapping(normalizedA, options.mapping), options);
   const filteredB = filterFields(normalizedB, options);
 
-  const diff = createDiff(filteredA, filteredB);
+  const { differences: diff, suppressed } = createDiffReport(filteredA, filteredB, getDiffOptions(options));
 
-  return {
+  const result = {
     normalizedA: filteredA,
     normalizedB: filteredB,
     diff,
+    suppressed,
     hasDifferences: diff.length > 0
   };
+
+  if (options.recursive) {
+    result.collections = await compareSubcollections(clientA, clientB, pathA, pathB, options, 1);
+    result.hasDifferences = result.hasDifferences || result.collections.length > 0;
+  }
+
+  return result;
+}
+
+// Compares a list of `{ key, pathA, pathB }` document pairs, fetched with
+// batched reads on each side, and reports them in the shape of a query diff.
+// Pairs missing on both sides are listed separately by key.
+export async function compareDocumentList(clientA, clientB, pairs, options = {}) {
+  const [docsA, docsB] = await Promise.all([
+    clientA.getDocuments(pairs.map(pair => pair.pathA)),
+    clientB.getDocuments(pairs.map(pair => pair.pathB))
+  ]);
+
+  const diffOptions = getDiffOptions(options);
+  const diff = createQueryDiff([], [], 'id');
+  const normalizedA = [];
+  const normalizedB = [];
+  const missing = [];
+
+  pairs.forEach(({ key }, index) => {
+    const normalized = normalizeDocument(docsA[index], getMappingSourceOptions(options, options.mapping));
+    const docA = normalized && filterFields(applyMapping(normalized, options.mapping), options);
+    const docB = docsB[index] && filterFields(normalizeDocument(docsB[index], options), options);
+
+    if (docA) normalizedA.push(docA);
+    if (docB) normalizedB.push(docB);
+
+    if (!docA && !docB) {
+      missing.push(key);
+    } else if (!docB) {
+      diff.removed.push({ key, document: docA });
+    } else if (!docA) {
+      diff.added.push({ key, document: docB });
+    } else {
+      const report = createDiffReport(docA, docB, diffOptions);
+      if (report.differences.length > 0) {
+        diff.changed.push({ key, diff: report.differences, documentA: docA, documentB: docB });
+      }
+      if (report.suppressed.length > 0) {
+        diff.suppressed.push({ key, diff: report.suppressed });
+      }
+    }
+  });
+
+  for (const type of ['added', 'removed', 'changed', 'suppressed']) {
+    diff[type].sort(compareByKey);
+  }
+
+  return {
+    normalizedA,
+    normalizedB,
+    diff,
+    missing: missing.sort(),
+    hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  };
+}
+
+// Expands the `*` segments of `patternA` by listing documents (or collections)
+// in source A and compares each match with the path `templateB` names for it:
+// `{1}`, `{2}`… are replaced by the captured segments, and a `*` in the
+// template takes the capture in the same position. Parents that hold the
+// nested document on neither side are left out of the result.
+export async function compareDocumentPattern(clientA, clientB, patternA, templateB, options = {}) {
+  if (templateB.split('/').length % 2 !== 0) {
+    throw new Error(`${templateB} is not a document path`);
+  }
+
+  const matches = await expandPathPattern(clientA, patternA);
+  const pairs = matches.map(({ path, captures }) => {
+    const pathB = fillPathTemplate(templateB, captures);
+    return { key: path === pathB ? path : `${path} → ${pathB}`, pathA: path, pathB };
+  });
+
+  const result = await compareDocumentList(clientA, clientB, pairs, options);
+  delete result.missing;
+  return result;
+}
+
+async function expandPathPattern(client, pattern) {
+  const segments = pattern.split('/');
+
+  if (segments.length % 2 !== 0) {
+    throw new Error(`${pattern} is not a document path`);
+  }
+
+  let matches = [{ path: '', captures: [] }];
+
+  for (const [index, segment] of segments.entries()) {
+    const next = [];
+
+    for (const { path, captures } of matches) {
+      const prefix = path ? `${path}/` : '';
+
+      if (segment !== '*') {
+        next.push({ path: prefix + segment, captures });
+        continue;
+      }
+
+      // Even positions name collections, odd positions documents.
+      const ids = index % 2 === 0
+        ? await client.listCollections(path || undefined)
+        : await client.listDocumentIds(path);
+
+      for (const id of ids) {
+        next.push({ path: prefix + id, captures: [...captures, id] });
+      }
+    }
+
+    matches = next;
+  }
+
+  return matches;
+}
+
+function fillPathTemplate(template, captures) {
+  let wildcard = 0;
+
+  return template
+    .split('/')
+    .map(segment => segment === '*' ? `{${++wildcard}}` : segment)
+    .join('/')
+    .replace(/\{(\d+)\}/g, (placeholder, position) => {
+      if (position < 1 || position > captures.length) {
+        throw new Error(`${template} uses ${placeholder} but the source pattern captures ${captures.length} segment${captures.length === 1 ? '' : 's'}`);
+      }
+      return captures[position - 1];
+    });
+}
+
+// Walks the subcollections under both documents down to `options.depth` levels
+// (unlimited when unset). Only collections with differences somewhere below
+// them are returned, so an empty list means the trees match.
+async function compareSubcollections(clientA, clientB, pathA, pathB, options, level) {
+  const [namesA, namesB] = await Promise.all([
+    clientA.listCollections(pathA),
+    clientB.listCollections(pathB)
+  ]);
+
+  const names = [...new Set([...namesA, ...namesB])].sort();
+  const key = options.key || 'id';
+  const collections = [];
+
+  for (const name of names) {
+    if (!namesB.includes(name)) {
+      collections.push({ name, onlyIn: 'A' });
+      continue;
+    }
+    if (!namesA.includes(name)) {
+      collections.push({ name, onlyIn: 'B' });
+      continue;
+    }
+
+    const collectionA = `${pathA}/${name}`;
+    const collectionB = `${pathB}/${name}`;
+    const query = await compareQueries(clientA, clientB, {
+      ...options,
+      collectionA,
+      collectionB,
+      whereA: [],
+      whereB: [],
+      key,
+      limit: undefined,
+      stream: false,
+      mapping: undefined
+    });
+
+    const documents = [];
+
+    if (options.depth === undefined || level < options.depth) {
+      const docsB = new Map(query.normalizedB.map(doc => [toKeyId(getKeyValue(doc, key)), doc]));
+
+      for (const docA of query.normalizedA) {
+        const docKey = getKeyValue(docA, key);
+        const docB = docsB.get(toKeyId(docKey));
+        if (!docB) continue;
+
+        const children = await compareSubcollections(
+          clientA,
+          clientB,
+          `${collectionA}/${docA._id}`,
+          `${collectionB}/${docB._id}`,
+          options,
+          level + 1
+        );
+        if (children.length > 0) {
+          documents.push({ key: docKey, collections: children });
+        }
+      }
+    }
+
+    if (query.hasDifferences || documents.length > 0) {
+      collections.push({ name, diff: query.diff, documents });
+    }
+  }
+
+  return collections;
 }
 
 export async function compareQueries(clientA, clientB, options = {}) {
@@ -36,43 +241,49 @@ export async function compareQueries(clientA, clientB, options = {}) {
     stream = false
   } = options;
 
+  if (options.sample) {
+    return compareQueriesBySample(clientA, clientB, options);
+  }
+
+  if (options.ranges) {
+    return compareQueriesByRange(clientA, clientB, options);
+  }
+
+  if (options.fast) {
+    return compareQueriesFast(clientA, clientB, options);
+  }
+
+  if (stream) {
+    return compareQueriesStream(clientA, clientB, options);
+  }
+
   const queryOptions = {
-    orderBy: key !== 'id' ? key : undefined,
+    orderBy: getLimitOrderBy(key, limit),
     limit,
-    stream
+    pageSize: options.pageSize
   };
 
   const normOptions = {
     fields,
     ignoreFields,
-    key
+    key,
+    includePath: isPathKey(key)
   };
 
-  if (stream) {
-    return compareQueriesStream(
-      clientA,
-      clientB,
-      collectionA,
-      collectionB,
-      whereA,
-      whereB,
-      queryOptions,
-      normOptions
-    );
-  }
+  const diffOptions = getDiffOptions(options);
 
   const [resultsA, resultsB] = await Promise.all([
     clientA.queryCollection(collectionA, whereA, queryOptions),
     clientB.queryCollection(collectionB, whereB, queryOptions)
   ]);
 
-  const normalizedA = normalizeQueryResults(resultsA, normOptions);
+  const normalizedA = normalizeQueryResults(resultsA, getMappingSourceOptions(normOptions, options.mapping));
   const normalizedB = normalizeQueryResults(resultsB, normOptions);
 
-  const filteredA = normalizedA.map(doc => filterFields(doc, normOptions));
+  const filteredA = normalizedA.map(doc => filterFields(applyMapping(doc, options.mapping), normOptions));
   const filteredB = normalizedB.map(doc => filterFields(doc, normOptions));
 
-  const diff = createQueryDiff(filteredA, filteredB, key);
+  const diff = createQueryDiff(filteredA, filteredB, key, diffOptions);
 
   return {
     normalizedA: filteredA,
@@ -82,97 +293,1019 @@ export async function compareQueries(clientA, clientB, options = {}) {
   };
 }
 
-async function compareQueriesStream(
-  clientA,
-  clientB,
-  collectionA,
-  collectionB,
-  whereA,
-  whereB,
-  queryOptions,
-  normOptions
-) {
-  const docsA = new Map();
-  const docsB = new Map();
-  
-  const streamA = clientA.queryCollection(collectionA, whereA, queryOptions);
-  const streamB = clientB.queryCollection(collectionB, whereB, queryOptions);
+// Compares every root collection of two databases, one collection at a time.
+// Only each collection's differences outlive its comparison, unless
+// `keepDocuments` asks for the normalized documents too (for `--output-dir`),
+// which holds every compared document in memory.
+export async function compareDatabases(clientA, clientB, options = {}) {
+  const { includeCollections, excludeCollections, keepDocuments = false } = options;
+
+  const [namesA, namesB] = await Promise.all([
+    clientA.listCollections(),
+    clientB.listCollections()
+  ]);
+
+  const names = [...new Set([...namesA, ...namesB])]
+    .filter(name => !includeCollections || matchAnyPath(includeCollections, name))
+    .filter(name => !excludeCollections || !matchAnyPath(excludeCollections, name))
+    .sort();
+
+  const collections = [];
+  const normalizedA = {};
+  const normalizedB = {};
+
+  for (const name of names) {
+    if (!namesB.includes(name)) {
+      collections.push({ name, onlyIn: 'A' });
+      continue;
+    }
+    if (!namesA.includes(name)) {
+      collections.push({ name, onlyIn: 'B' });
+      continue;
+    }
+
+    const result = await compareQueries(clientA, clientB, {
+      ...options,
+      collectionA: name,
+      collectionB: name,
+      whereA: [],
+      whereB: []
+    });
+
+    collections.push({ name, diff: result.diff, hasDifferences: result.hasDifferences });
+    if (keepDocuments) {
+      normalizedA[name] = result.normalizedA;
+      normalizedB[name] = result.normalizedB;
+    }
+  }
+
+  return {
+    normalizedA: keepDocuments ? normalizedA : undefined,
+    normalizedB: keepDocuments ? normalizedB : undefined,
+    diff: { collections },
+    hasDifferences: collections.some(collection => collection.onlyIn || collection.hasDifferences)
+  };
+}
+
+// Streams both queries keeping only a hash per key, then fetches and diffs just
+// the documents that were added, removed or hash to different values.
+async function compareQueriesFast(clientA, clientB, options) {
+  const { collectionA, collectionB, whereA = [], whereB = [], key = 'id', fields, ignoreFields, limit } = options;
+
+  const queryOptions = { orderBy: getLimitOrderBy(key, limit), limit, pageSize: options.pageSize, stream: true };
+  const normOptions = { fields, ignoreFields, key, includePath: isPathKey(key) };
 
-  const processStream = async (stream, docsMap) => {
-    for await (const doc of stream) {
-      const normalized = normalizeDocument(doc, normOptions);
-      const filtered = filterFields(normalized, normOptions);
-      const key = normOptions.key === 'id' ? doc.id : getKeyValue(filtered, normOptions.key);
-      docsMap.set(key, filtered);
+  const prepare = (doc, mapping) =>
+    filterFields(applyMapping(normalizeDocument(doc, getMappingSourceOptions(normOptions, mapping)), mapping), normOptions);
+
+  const collectHashes = async (client, collection, filters, mapping) => {
+    const entries = [];
+    for await (const doc of await client.queryCollection(collection, filters, queryOptions)) {
+      const document = prepare(doc, mapping);
+      entries.push({ key: getKeyValue(document, key), id: getDocumentId(document), path: doc.path, hash: hashDocument(document) });
     }
+    return indexByKey(entries);
   };
 
-  await Promise.all([
-    processStream(streamA, docsA),
-    processStream(streamB, docsB)
+  const [indexA, indexB] = await Promise.all([
+    collectHashes(clientA, collectionA, whereA, options.mapping),
+    collectHashes(clientB, collectionB, whereB)
   ]);
+  const hashesA = indexA.entries;
+  const hashesB = indexB.entries;
+
+  const pathsA = [];
+  const pathsB = [];
+  let checkedByHash = 0;
+
+  for (const [keyId, entryA] of hashesA) {
+    const entryB = hashesB.get(keyId);
+    if (entryB && entryB.hash === entryA.hash) {
+      checkedByHash++;
+      continue;
+    }
+    pathsA.push(entryA.path);
+    if (entryB) pathsB.push(entryB.path);
+  }
 
-  const normalizedA = Array.from(docsA.values());
-  const normalizedB = Array.from(docsB.values());
+  for (const [keyId, entryB] of hashesB) {
+    if (!hashesA.has(keyId)) pathsB.push(entryB.path);
+  }
 
-  const diff = createQueryDiff(normalizedA, normalizedB, normOptions.key);
+  const fetchDocuments = async (client, paths, mapping) => (await client.getDocuments(paths))
+    .filter(Boolean)
+    .map(doc => prepare(doc, mapping));
+
+  const [docsA, docsB] = await Promise.all([
+    fetchDocuments(clientA, pathsA, options.mapping),
+    fetchDocuments(clientB, pathsB)
+  ]);
+
+  const diff = {
+    ...createQueryDiff(docsA, docsB, key, getDiffOptions(options)),
+    duplicates: { a: indexA.duplicates, b: indexB.duplicates },
+    unkeyed: { a: indexA.unkeyed, b: indexB.unkeyed }
+  };
 
   return {
-    normalizedA,
-    normalizedB,
     diff,
+    checkedByHash,
+    hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  };
+}
+
+const RANGE_FANOUT = 4;
+
+// Fingerprints key ranges on both sides with server-side aggregations (document
+// count plus the sum of each fingerprint field) and splits mismatching ranges
+// into quarters of their key space until they hold at most `rangeSize`
+// documents, which are then fetched and diffed. Split keys are computed rather
+// than looked up, so matching documents are never read.
+async function compareQueriesByRange(clientA, clientB, options) {
+  const {
+    collectionA,
+    collectionB,
+    whereA = [],
+    whereB = [],
+    key = 'id',
+    fields,
+    ignoreFields,
+    fingerprintFields = [],
+    rangeSize = 100
+  } = options;
+
+  if (options.mapping) {
+    throw new Error('Range comparison fingerprints stored fields and cannot be combined with a mapping');
+  }
+
+  // A count alone matches when a range's documents changed, or when a document
+  // was added and another removed within it.
+  if (fingerprintFields.length === 0) {
+    throw new Error('Range comparison needs fingerprint fields; a document count alone misses changed documents');
+  }
+
+  const orderBy = getOrderByKey(key, collectionA, collectionB, 'Range comparison');
+  const normOptions = { fields, ignoreFields, key, includePath: isPathKey(key) };
+  const diffOptions = getDiffOptions(options);
+  const sides = [
+    { client: clientA, collection: collectionA, filters: whereA },
+    { client: clientB, collection: collectionB, filters: whereB }
+  ];
+
+  const diff = createQueryDiff([], [], key);
+  const ranges = [];
+  let bounds;
+
+  const fetchRange = async (client, collection, filters, range) => {
+    const results = await client.queryCollection(collection, filters, { orderBy, ...range });
+    return normalizeQueryResults(results, normOptions).map(doc => filterFields(doc, normOptions));
+  };
+
+  const visit = async (range, depth) => {
+    const queryOptions = { orderBy, sumFields: fingerprintFields, ...range };
+    const [fingerprintA, fingerprintB] = await Promise.all([
+      clientA.aggregateRange(collectionA, whereA, queryOptions),
+      clientB.aggregateRange(collectionB, whereB, queryOptions)
+    ]);
+
+    const report = { ...range, depth, countA: fingerprintA.count, countB: fingerprintB.count };
+    ranges.push(report);
+
+    report.matched = fingerprintA.count === fingerprintB.count &&
+      fingerprintA.sums.every((sum, index) => sum === fingerprintB.sums[index]);
+
+    if (report.matched) {
+      return;
+    }
+
+    const boundaries = [range.startAt];
+
+    if (Math.max(fingerprintA.count, fingerprintB.count) > rangeSize) {
+      bounds ??= await findKeyBounds(sides, orderBy, key);
+      const low = range.startAt ?? bounds.first;
+      const high = range.endBefore ?? bounds.last;
+      boundaries.push(...splitKeyRange(low, high, key, RANGE_FANOUT));
+    }
+
+    boundaries.push(range.endBefore);
+
+    // A range that cannot be split further (e.g. many documents sharing one key
+    // value) is diffed in full.
+    if (boundaries.length === 2) {
+      const [docsA, docsB] = await Promise.all([
+        fetchRange(clientA, collectionA, whereA, range),
+        fetchRange(clientB, collectionB, whereB, range)
+      ]);
+
+      const rangeDiff = createQueryDiff(docsA, docsB, key, diffOptions);
+      for (const type of ['added', 'removed', 'changed', 'suppressed']) {
+        diff[type].push(...rangeDiff[type]);
+      }
+      for (const side of ['a', 'b']) {
+        diff.duplicates[side].push(...rangeDiff.duplicates[side]);
+        diff.unkeyed[side].push(...rangeDiff.unkeyed[side]);
+      }
+
+      report.differences = {
+        added: rangeDiff.added.length,
+        removed: rangeDiff.removed.length,
+        changed: rangeDiff.changed.length
+      };
+      return;
+    }
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      await visit({ startAt: boundaries[i], endBefore: boundaries[i + 1] }, depth + 1);
+    }
+  };
+
+  await visit({ startAt: undefined, endBefore: undefined }, 0);
+
+  for (const type of ['added', 'removed', 'changed', 'suppressed']) {
+    diff[type].sort(compareByKey);
+  }
+
+  return {
+    diff,
+    ranges,
+    hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  };
+}
+
+// The first and last keys on either side bound the key space that is split.
+async function findKeyBounds(sides, orderBy, keyField) {
+  const keys = await Promise.all(sides.flatMap(side => [false, true].map(descending =>
+    side.client.findFirstKey(side.collection, side.filters, { orderBy, descending }))));
+  const found = keys.filter(value => value !== undefined).sort((a, b) => compareKeys(a, b, keyField));
+
+  return { first: found[0], last: found.at(-1) };
+}
+
+// Returns the keys splitting [low, high) into `parts` even steps of key space,
+// leaving out steps too small to hold another key. A composite key is split on
+// its first field only.
+function splitKeyRange(low, high, keyField, parts) {
+  const composite = isCompositeKey(keyField);
+  const field = getKeyFields(keyField)[0];
+  const from = composite ? low[0] : low;
+  const to = composite ? high[0] : high;
+  const values = [];
+
+  for (let step = 1; step < parts; step++) {
+    const value = interpolateKey(from, to, step, parts);
+    const previous = values.at(-1) ?? from;
+
+    if (value !== undefined && compareKeys(value, previous, field) > 0 && compareKeys(value, to, field) < 0) {
+      values.push(value);
+    }
+  }
+
+  return composite ? values.map(value => [value]) : values;
+}
+
+// Numbers are interpolated, and strings are read as fractions whose digits are
+// the span of characters the two strings use. Keys of other or differing types
+// and document paths are not split.
+function interpolateKey(low, high, step, steps) {
+  if (typeof low === 'number' && typeof high === 'number') {
+    const value = low + (high - low) * step / steps;
+    return Number.isInteger(low) && Number.isInteger(high) ? Math.round(value) : value;
+  }
+
+  if (typeof low === 'string' && typeof high === 'string' && !low.includes('/') && !high.includes('/')) {
+    return interpolateString(low, high, step, steps);
+  }
+
+  return undefined;
+}
+
+function interpolateString(low, high, step, steps) {
+  const codesLow = Array.from(low, char => char.codePointAt(0));
+  const codesHigh = Array.from(high, char => char.codePointAt(0));
+  const min = Math.min(...codesLow, ...codesHigh);
+  const base = BigInt(Math.max(...codesLow, ...codesHigh) - min + 1);
+  const length = Math.max(codesLow.length, codesHigh.length) + 1;
+
+  const toInteger = codes => Array.from({ length }, (_, i) => codes[i] ?? min)
+    .reduce((value, code) => value * base + BigInt(code - min), 0n);
+
+  const from = toInteger(codesLow);
+  let value = from + (toInteger(codesHigh) - from) * BigInt(step) / BigInt(steps);
+
+  const codes = [];
+  for (let i = 0; i < length; i++) {
+    codes.unshift(Number(value % base) + min);
+    value /= base;
+  }
+  while (codes.at(-1) === min) {
+    codes.pop();
+  }
+
+  // A '/' would turn a document ID cursor into a path, and a lone surrogate is
+  // not a valid string.
+  if (codes.some(code => code === 0x2F || (code >= 0xD800 && code <= 0xDFFF))) {
+    return undefined;
+  }
+
+  return String.fromCodePoint(...codes);
+}
+
+const AUTO_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const SAMPLE_PROBES_PER_DOCUMENT = 4;
+const MAX_STRATA = 100;
+const IN_FILTER_BATCH_SIZE = 30;
+
+// Samples document IDs by probing both sides at random auto-ID positions, or
+// per value of `sampleBy` when stratified, then fetches every sampled ID from
+// both sides so a document missing on either side is still reported.
+async function compareQueriesBySample(clientA, clientB, options) {
+  const {
+    collectionA,
+    collectionB,
+    whereA = [],
+    whereB = [],
+    key = 'id',
+    fields,
+    ignoreFields,
+    sample,
+    sampleBy,
+    seed = Math.floor(Math.random() * 2 ** 32)
+  } = options;
+
+  if (key !== 'id') {
+    throw new Error('Sampling compares documents by ID and cannot be combined with --key');
+  }
+  if (collectionA.startsWith('group:') || collectionB.startsWith('group:')) {
+    throw new Error('Sampling is not available for collection groups');
+  }
+
+  const random = createRandom(seed);
+  const normOptions = { fields, ignoreFields, key };
+  const sides = [
+    { client: clientA, collection: collectionA, filters: whereA, mapping: options.mapping },
+    { client: clientB, collection: collectionB, filters: whereB }
+  ];
+
+  const ids = new Set();
+  const report = { seed, size: 0 };
+
+  if (sampleBy) {
+    const values = await listDistinctValues(sides, sampleBy);
+    const quota = Math.ceil(sample / values.length);
+
+    report.by = sampleBy;
+    report.strata = [];
+
+    for (const value of values) {
+      const filter = { field: sampleBy, operator: '==', value };
+      const stratumIds = await probeIds(sides.map(side => ({ ...side, filters: [...side.filters, filter] })), quota, random);
+      stratumIds.forEach(id => ids.add(id));
+      report.strata.push({ value: normalizeValue(value), size: stratumIds.size });
+    }
+  } else {
+    (await probeIds(sides, sample, random)).forEach(id => ids.add(id));
+  }
+
+  report.size = ids.size;
+
+  const [docsA, docsB] = await Promise.all(sides.map(side => fetchByIds(side, [...ids], normOptions)));
+  const diff = createQueryDiff(docsA, docsB, key, getDiffOptions(options));
+
+  return {
+    normalizedA: docsA,
+    normalizedB: docsB,
+    diff,
+    sample: report,
     hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
   };
 }
 
-function createQueryDiff(docsA, docsB, keyField) {
-  const mapA = new Map();
-  const mapB = new Map();
+async function probeIds(sides, count, random) {
+  const ids = new Set();
+
+  for (let probes = 0; ids.size < count && probes < count * SAMPLE_PROBES_PER_DOCUMENT; probes++) {
+    const probe = randomDocumentId(random);
+    const found = await Promise.all(sides.map(side => findIdAtOrAfter(side, probe)));
 
-  for (const doc of docsA) {
-    const key = getKeyValue(doc, keyField);
-    mapA.set(key, doc);
+    for (const id of found) {
+      if (id !== undefined && ids.size < count) ids.add(id);
+    }
   }
 
-  for (const doc of docsB) {
-    const key = getKeyValue(doc, keyField);
-    mapB.set(key, doc);
+  return ids;
+}
+
+// Wraps around to the first document when the probe lies past the last one.
+async function findIdAtOrAfter(side, probe) {
+  const id = await side.client.findFirstKey(side.collection, side.filters, { orderBy: '__name__', startAt: probe });
+  return id ?? side.client.findFirstKey(side.collection, side.filters, { orderBy: '__name__' });
+}
+
+async function listDistinctValues(sides, field) {
+  const values = [];
+
+  for (const side of sides) {
+    let value = await side.client.findFirstKey(side.collection, side.filters, { orderBy: field });
+
+    while (value !== undefined) {
+      if (!values.some(existing => deepEqual(existing, value))) {
+        values.push(value);
+      }
+      if (values.length > MAX_STRATA) {
+        throw new Error(`--sample-by ${field} has more than ${MAX_STRATA} distinct values`);
+      }
+      value = await side.client.findFirstKey(side.collection, side.filters, { orderBy: field, startAfter: value });
+    }
+  }
+
+  return values;
+}
+
+async function fetchByIds(side, ids, normOptions) {
+  const results = [];
+
+  for (let i = 0; i < ids.length; i += IN_FILTER_BATCH_SIZE) {
+    const filter = { field: '__name__', operator: 'in', value: ids.slice(i, i + IN_FILTER_BATCH_SIZE) };
+    results.push(...await side.client.queryCollection(side.collection, [...side.filters, filter]));
+  }
+
+  return normalizeQueryResults(results, getMappingSourceOptions(normOptions, side.mapping))
+    .map(doc => filterFields(applyMapping(doc, side.mapping), normOptions));
+}
+
+// mulberry32: a small seeded generator, so a printed seed reproduces a sample.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomDocumentId(random) {
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += AUTO_ID_ALPHABET[Math.floor(random() * AUTO_ID_ALPHABET.length)];
+  }
+  return id;
+}
+
+// Normalized documents have sorted keys, so their JSON is a stable fingerprint.
+function hashDocument(document) {
+  return createHash('sha256').update(JSON.stringify(withoutPath(document))).digest('base64');
+}
+
+async function compareQueriesStream(clientA, clientB, options) {
+  const diff = createQueryDiff([], [], options.key || 'id');
+
+  for await (const entry of streamQueryDiff(clientA, clientB, options)) {
+    const { type, side, ...item } = entry;
+    if (type === 'checkpoint') {
+      continue;
+    } else if (type === 'duplicates') {
+      diff.duplicates[side].push(item);
+    } else if (type === 'unkeyed') {
+      diff.unkeyed[side] = item.ids;
+    } else {
+      diff[type].push(item);
+    }
+  }
+
+  return {
+    diff,
+    hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0
+  };
+}
+
+// Merge-joins two queries ordered by the comparison key, yielding `removed`,
+// `added`, `changed` and `suppressed` entries as soon as they are known. Only
+// the current document of each side is held in memory. `duplicates` and
+// `unkeyed` entries for each side follow once both queries are exhausted.
+//
+// With `checkpoints`, a `checkpoint` entry is yielded about once per
+// `pageSize` documents read. Its `a` and `b` state, passed back as
+// `resume: { a, b }`, continues the comparison after the documents already
+// joined.
+export async function* streamQueryDiff(clientA, clientB, options = {}) {
+  const {
+    collectionA,
+    collectionB,
+    whereA = [],
+    whereB = [],
+    key = 'id',
+    fields,
+    ignoreFields,
+    limit,
+    pageSize,
+    checkpoints = false,
+    resume = {}
+  } = options;
+
+  if ((checkpoints || options.resume) && !pageSize) {
+    throw new Error('Resumable streaming reads in pages and requires a page size');
   }
 
+  const queryOptions = {
+    orderBy: getOrderByKey(key, collectionA, collectionB, 'Streaming'),
+    limit,
+    pageSize,
+    stream: true
+  };
+
+  const normOptions = {
+    fields,
+    ignoreFields,
+    key,
+    includePath: isPathKey(key)
+  };
+
+  const diffOptions = getDiffOptions(options);
+
+  const cursorA = await openCursor(clientA, collectionA, whereA, queryOptions, { ...normOptions, mapping: options.mapping }, resume.a);
+  const cursorB = await openCursor(clientB, collectionB, whereB, queryOptions, normOptions, resume.b);
+
+  let [docA, docB] = await Promise.all([cursorA.next(), cursorB.next()]);
+  let nextCheckpoint = pageSize;
+
+  while (docA || docB) {
+    if (checkpoints && cursorA.count + cursorB.count >= nextCheckpoint) {
+      nextCheckpoint = cursorA.count + cursorB.count + pageSize;
+      yield { type: 'checkpoint', a: cursorA.checkpoint(), b: cursorB.checkpoint() };
+    }
+
+    // A side cut off by --limit says nothing about keys past its last document.
+    if ((!docA && cursorA.truncated) || (!docB && cursorB.truncated)) {
+      break;
+    }
+
+    const order = !docA ? 1 : !docB ? -1 : compareKeys(docA.key, docB.key, key);
+
+    if (order < 0) {
+      yield { type: 'removed', key: docA.key, document: docA.document };
+      docA = await cursorA.next();
+    } else if (order > 0) {
+      yield { type: 'added', key: docB.key, document: docB.document };
+      docB = await cursorB.next();
+    } else {
+      const report = createDiffReport(withoutPath(docA.document), withoutPath(docB.document), diffOptions);
+      if (report.differences.length > 0) {
+        yield { type: 'changed', key: docA.key, diff: report.differences, documentA: docA.document, documentB: docB.document };
+      }
+      if (report.suppressed.length > 0) {
+        yield { type: 'suppressed', key: docA.key, diff: report.suppressed };
+      }
+      [docA, docB] = await Promise.all([cursorA.next(), cursorB.next()]);
+    }
+  }
+
+  for (const [side, cursor] of [['a', cursorA], ['b', cursorB]]) {
+    for (const duplicate of cursor.duplicates) {
+      yield { type: 'duplicates', side, ...duplicate };
+    }
+    if (cursor.unkeyed.length > 0) {
+      yield { type: 'unkeyed', side, ids: cursor.unkeyed };
+    }
+  }
+}
+
+async function openCursor(client, collection, filters, queryOptions, normOptions, resume = {}) {
+  const iterator = (await client.queryCollection(collection, filters, { ...queryOptions, startAfter: resume.startAfter }))[Symbol.asyncIterator]();
+  let previous = resume.previous;
+  let returned;
+
+  // Documents sharing a key arrive next to each other; only the first is
+  // joined, and the rest are collected with any unkeyed documents.
+  // `position` and `consumed` trail the document last returned, which is only
+  // done with once the merge-join asks for the next one.
+  const cursor = {
+    count: 0,
+    truncated: false,
+    duplicates: (resume.duplicates || []).map(duplicate => ({ ...duplicate, ids: [...duplicate.ids] })),
+    unkeyed: [...(resume.unkeyed || [])],
+    position: resume.startAfter,
+    consumed: resume.previous,
+    checkpoint() {
+      return {
+        startAfter: cursor.position,
+        previous: cursor.consumed,
+        duplicates: cursor.duplicates.map(duplicate => ({ ...duplicate, ids: [...duplicate.ids] })),
+        unkeyed: [...cursor.unkeyed]
+      };
+    },
+    async next() {
+      if (returned) {
+        cursor.position = returned.cursor;
+        cursor.consumed = { key: returned.key, id: returned.id };
+        returned = undefined;
+      }
+
+      for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          cursor.truncated = queryOptions.limit !== undefined && cursor.count >= queryOptions.limit;
+          return null;
+        }
+
+        cursor.count++;
+        const normalized = normalizeDocument(value, getMappingSourceOptions(normOptions, normOptions.mapping));
+        const document = filterFields(applyMapping(normalized, normOptions.mapping), normOptions);
+        const key = getKeyValue(document, normOptions.key);
+        const id = getDocumentId(document);
+
+        if (!hasKeyValue(key)) {
+          cursor.unkeyed.push(id);
+          cursor.position = value.cursor;
+          continue;
+        }
+
+        const order = previous ? compareKeys(previous.key, key, normOptions.key) : -1;
+
+        if (order > 0) {
+          throw new Error(`Documents in ${collection} are not ordered by ${normOptions.key}: ${toKeyId(key)} follows ${toKeyId(previous.key)}`);
+        }
+
+        if (order === 0) {
+          const last = cursor.duplicates[cursor.duplicates.length - 1];
+          if (last && toKeyId(last.key) === toKeyId(key)) {
+            last.ids.push(id);
+          } else {
+            cursor.duplicates.push({ key, ids: [previous.id, id] });
+          }
+          cursor.position = value.cursor;
+          continue;
+        }
+
+        previous = { key, id };
+        returned = { key, id, cursor: value.cursor };
+        return { key, document };
+      }
+    }
+  };
+
+  return cursor;
+}
+
+// Ordering by a field leaves out documents that lack it, so the key only orders
+// a query when --limit needs both sides to take the same window of keys;
+// otherwise those documents are fetched and reported as unkeyed.
+function getLimitOrderBy(key, limit) {
+  return limit !== undefined && key !== 'id' && !isPathKey(key) ? toOrderBy(key) : undefined;
+}
+
+// Ordered comparisons need a key Firestore can order by: the document ID within
+// a collection, the full path (`__name__`), or a field.
+function getOrderByKey(key, collectionA, collectionB, feature) {
+  if (key.includes('{')) {
+    throw new Error(`${feature} requires a key Firestore can order by; path templates are not supported`);
+  }
+  if (getKeyFields(key).includes('id') && (collectionA.startsWith('group:') || collectionB.startsWith('group:'))) {
+    throw new Error(`${feature} over a collection group requires --key __name__ or field keys`);
+  }
+  return toOrderBy(key);
+}
+
+// The document ID orders as `__name__`; a composite key orders by every component.
+function toOrderBy(key) {
+  const fields = getKeyFields(key).map(field => field === 'id' ? '__name__' : field);
+  return fields.length === 1 ? fields[0] : fields;
+}
+
+// Mirrors Firestore's ordering: null, then booleans, numbers and strings, with
+// strings compared by UTF-8 bytes and document paths segment by segment.
+function compareKeys(a, b, keyField) {
+  if (isCompositeKey(keyField)) {
+    const fields = getKeyFields(keyField);
+    for (let i = 0; i < fields.length; i++) {
+      const order = compareKeys(a[i], b[i], fields[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+
+  if (keyField === '__name__') {
+    const segmentsA = a.split('/');
+    const segmentsB = b.split('/');
+    for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+      const order = Buffer.compare(Buffer.from(segmentsA[i]), Buffer.from(segmentsB[i]));
+      if (order !== 0) return order;
+    }
+    return segmentsA.length - segmentsB.length;
+  }
+
+  const rankA = getKeyRank(a, keyField);
+  const rankB = getKeyRank(b, keyField);
+
+  if (rankA !== rankB) return rankA - rankB;
+  if (typeof a === 'string') return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function getKeyRank(value, keyField) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  throw new Error(`Streaming supports only null, boolean, number and string keys; ${keyField} holds ${JSON.stringify(value)}`);
+}
+
+// --fields and --ignore-fields name B's fields, so a mapped side A is normalized
+// in full and filtered only once the mapping has renamed its fields.
+function getMappingSourceOptions(options, mapping) {
+  return mapping ? { ...options, fields: undefined, ignoreFields: undefined } : options;
+}
+
+function getDiffOptions(options) {
+  return {
+    arrayKeys: options.arrayKeys,
+    numTolerance: options.numTolerance,
+    numRelTolerance: options.numRelTolerance,
+    timeTolerance: options.timeTolerance,
+    geoTolerance: options.geoTolerance,
+    detectMoves: options.detectMoves,
+    comparators: options.comparators
+  };
+}
+
+function createQueryDiff(docsA, docsB, keyField, diffOptions = {}) {
+  const toEntry = doc => ({ key: getKeyValue(doc, keyField), id: getDocumentId(doc), doc });
+  const indexA = indexByKey(docsA.map(toEntry));
+  const indexB = indexByKey(docsB.map(toEntry));
+  const mapA = indexA.entries;
+  const mapB = indexB.entries;
+
   const added = [];
   const removed = [];
   const changed = [];
+  const suppressed = [];
 
-  for (const [key, docA] of mapA) {
-    if (!mapB.has(key)) {
+  for (const [keyId, { key, doc: docA }] of mapA) {
+    if (!mapB.has(keyId)) {
       removed.push({ key, document: docA });
     } else {
-      const docB = mapB.get(key);
-      const diff = createDiff(docA, docB);
-      if (diff.length > 0) {
-        changed.push({ key, diff, documentA: docA, documentB: docB });
+      const docB = mapB.get(keyId).doc;
+      const report = createDiffReport(withoutPath(docA), withoutPath(docB), diffOptions);
+      if (report.differences.length > 0) {
+        changed.push({ key, diff: report.differences, documentA: docA, documentB: docB });
+      }
+      if (report.suppressed.length > 0) {
+        suppressed.push({ key, diff: report.suppressed });
       }
     }
   }
 
-  for (const [key, docB] of mapB) {
-    if (!mapA.has(key)) {
+  for (const [keyId, { key, doc: docB }] of mapB) {
+    if (!mapA.has(keyId)) {
       added.push({ key, document: docB });
     }
   }
 
   return {
-    added: added.sort((a, b) => String(a.key).localeCompare(String(b.key))),
-    removed: removed.sort((a, b) => String(a.key).localeCompare(String(b.key))),
-    changed: changed.sort((a, b) => String(a.key).localeCompare(String(b.key)))
+    added: added.sort(compareByKey),
+    removed: removed.sort(compareByKey),
+    changed: changed.sort(compareByKey),
+    suppressed: suppressed.sort(compareByKey),
+    duplicates: { a: indexA.duplicates, b: indexB.duplicates },
+    unkeyed: { a: indexA.unkeyed, b: indexB.unkeyed }
+  };
+}
+
+// The first document with a given key is the one compared; any later ones are
+// reported as duplicates, and documents with no key value as unkeyed, instead
+// of silently replacing each other.
+function indexByKey(entries) {
+  const index = new Map();
+  const duplicates = new Map();
+  const unkeyed = [];
+
+  for (const entry of entries) {
+    if (!hasKeyValue(entry.key)) {
+      unkeyed.push(entry.id);
+      continue;
+    }
+
+    const keyId = toKeyId(entry.key);
+    if (!index.has(keyId)) {
+      index.set(keyId, entry);
+      continue;
+    }
+
+    if (!duplicates.has(keyId)) {
+      duplicates.set(keyId, { key: entry.key, ids: [index.get(keyId).id] });
+    }
+    duplicates.get(keyId).ids.push(entry.id);
+  }
+
+  return {
+    entries: index,
+    duplicates: [...duplicates.values()].sort(compareByKey),
+    unkeyed: unkeyed.sort()
+  };
+}
+
+function hasKeyValue(key) {
+  return Array.isArray(key)
+    ? key.every(component => component !== null && component !== undefined)
+    : key !== null && key !== undefined;
+}
+
+function getDocumentId(doc) {
+  return doc._path || doc._id;
+}
+
+function compareByKey(a, b) {
+  if (Array.isArray(a.key) && Array.isArray(b.key)) {
+    for (let i = 0; i < a.key.length; i++) {
+      const order = compareKeyComponent(a.key[i], b.key[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  }
+  return String(a.key).localeCompare(String(b.key));
+}
+
+function compareKeyComponent(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+// Classifies every path that changed since a common base as changed in A only,
+// in B only, identically in both, or conflicting. Changes at a path and below
+// it are grouped under the outermost path, so they are judged together.
+export function createThreeWayDiff(base, dataA, dataB, options = {}) {
+  if (!Array.isArray(dataA)) {
+    if (Array.isArray(base)) {
+      throw new Error('Base snapshot holds query results but a single document was compared');
+    }
+    return classifyThreeWay(filterFields(base, options), dataA, dataB, options);
+  }
+
+  if (!Array.isArray(base)) {
+    throw new Error('Base snapshot holds a single document but query results were compared');
+  }
+
+  base = base.map(doc => filterFields(doc, options));
+
+  const keyField = options.key || 'id';
+  const byKey = docs => new Map(docs.map(doc => [toKeyId(getKeyValue(doc, keyField)), doc]));
+  const mapBase = byKey(base);
+  const mapA = byKey(dataA);
+  const mapB = byKey(dataB);
+  const keys = new Set([...mapBase.keys(), ...mapA.keys(), ...mapB.keys()]);
+
+  const documents = [];
+
+  for (const keyId of keys) {
+    const [docBase, docA, docB] = [mapBase, mapA, mapB].map(map => map.get(keyId) ?? null);
+    const classified = classifyThreeWay(docBase, docA, docB, options);
+    if (hasThreeWayChanges(classified)) {
+      documents.push({ key: getKeyValue(docBase ?? docA ?? docB, keyField), ...classified });
+    }
+  }
+
+  return {
+    documents: documents.sort(compareByKey)
   };
 }
 
+export function hasThreeWayChanges(threeWay) {
+  if (threeWay.documents) {
+    return threeWay.documents.length > 0;
+  }
+  return threeWay.changedInA.length > 0 || threeWay.changedInB.length > 0 ||
+    threeWay.changedInBoth.length > 0 || threeWay.conflicts.length > 0;
+}
+
+function classifyThreeWay(base, docA, docB, options) {
+  const diffOptions = { ...getDiffOptions(options), detectMoves: false };
+  const entries = [
+    ...createDiff(base, docA, diffOptions).map(entry => ({ side: 'a', entry })),
+    ...createDiff(base, docB, diffOptions).map(entry => ({ side: 'b', entry }))
+  ].sort((x, y) => x.entry.path.length - y.entry.path.length);
+
+  const groups = [];
+
+  for (const { side, entry } of entries) {
+    let group = groups.find(candidate => isSameOrDescendantPath(entry.path, candidate.path));
+    if (!group) {
+      group = { path: entry.path, a: [], b: [] };
+      groups.push(group);
+    }
+    group[side].push(entry);
+  }
+
+  const result = { changedInA: [], changedInB: [], changedInBoth: [], conflicts: [] };
+
+  for (const group of groups) {
+    if (group.b.length === 0) {
+      result.changedInA.push(group);
+    } else if (group.a.length === 0) {
+      result.changedInB.push(group);
+    } else if (isSameChange(group.a, group.b)) {
+      result.changedInBoth.push(group);
+    } else {
+      result.conflicts.push(group);
+    }
+  }
+
+  return result;
+}
+
+function isSameOrDescendantPath(path, ancestor) {
+  return ancestor === '' || path === ancestor ||
+    path.startsWith(`${ancestor}.`) || path.startsWith(`${ancestor}[`);
+}
+
+function isSameChange(entriesA, entriesB) {
+  if (entriesA.length !== entriesB.length) {
+    return false;
+  }
+
+  return entriesA.every(entryA => entriesB.some(entryB =>
+    entryA.path === entryB.path &&
+    (entryA.type === 'removed') === (entryB.type === 'removed') &&
+    deepEqual(resultingValue(entryA), resultingValue(entryB))
+  ));
+}
+
+function resultingValue(entry) {
+  return entry.type === 'added' ? entry.value : entry.newValue;
+}
+
+// The document path is what lines documents up, so it is not itself compared.
+function withoutPath(doc) {
+  if (!doc || !('_path' in doc)) {
+    return doc;
+  }
+  const rest = { ...doc };
+  delete rest._path;
+  return rest;
+}
+
+// `__name__` keys documents by their full path; a template such as
+// `products/{product}/reviews/{review}` keys them by the captured segments, so
+// documents under differently named parents still line up (`*` skips a segment).
+function isPathKey(keyField) {
+  return getKeyFields(keyField).includes('__name__') || keyField.includes('{');
+}
+
+function getPathTemplateKey(path, template) {
+  const segments = path.split('/');
+  const tokens = template.split('/');
+
+  if (segments.length !== tokens.length) {
+    throw new Error(`Document ${path} does not match key template ${template}`);
+  }
+
+  const captures = [];
+
+  tokens.forEach((token, index) => {
+    if (token.startsWith('{') && token.endsWith('}')) {
+      captures.push(segments[index]);
+    } else if (token !== '*' && token !== segments[index]) {
+      throw new Error(`Document ${path} does not match key template ${template}`);
+    }
+  });
+
+  return captures.join('/');
+}
+
+// A comma-separated key such as `orderId,lineNo` is composite: its value is the
+// tuple of its components, and `toKeyId` turns tuples into comparable map keys.
+function isCompositeKey(keyField) {
+  return keyField.includes(',') && !keyField.includes('{');
+}
+
+function getKeyFields(keyField) {
+  return isCompositeKey(keyField) ? keyField.split(',').map(field => field.trim()) : [keyField];
+}
+
+function toKeyId(key) {
+  return Array.isArray(key) ? JSON.stringify(key) : key;
+}
+
 function getKeyValue(doc, keyField) {
+  if (isCompositeKey(keyField)) {
+    return getKeyFields(keyField).map(field => getKeyValue(doc, field));
+  }
+
   if (keyField === 'id') {
     return doc._id;
   }
 
+  if (keyField === '__name__') {
+    return doc._path;
+  }
+
+  if (keyField.includes('{')) {
+    return getPathTemplateKey(doc._path, keyField);
+  }
+
   const parts = keyField.split('.');
   let current = doc;
 
@@ -0,0 +1,28 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// A comparators module default-exports an object mapping field-path patterns
+// to `(a, b) => boolean | diffEntries` functions.
+export async function loadComparators(modulePath) {
+  const resolved = path.resolve(modulePath);
+  let module;
+
+  try {
+    module = await import(pathToFileURL(resolved).href);
+  } catch (error) {
+    throw new Error(`Failed to load comparators from ${resolved}: ${error.message}`);
+  }
+
+  const definitions = module.default ?? module.comparators;
+
+  if (!definitions || typeof definitions !== 'object') {
+    throw new Error(`Comparators module ${resolved} must default-export an object of pattern → function`);
+  }
+
+  return Object.entries(definitions).map(([pattern, compare]) => {
+    if (typeof compare !== 'function') {
+      throw new Error(`Comparator for "${pattern}" in ${resolved} must be a function`);
+    }
+    return { pattern, compare };
+  });
+}
@@ -1,24 +1,159 @@
 import { diffJson } from 'diff';
+import { matchPath, parsePath, comparePaths } from './path-matcher.mjs';
+
+export function createDiff(objA, objB, options = {}) {
+  return createDiffReport(objA, objB, options).differences;
+}
+
+// Like createDiff, but also returns the differences that were suppressed by a
+// tolerance rule so callers can report them.
+export function createDiffReport(objA, objB, options = {}) {
+  const context = { differences: [], suppressed: [], options };
 
-export function createDiff(objA, objB) {
   if (objA === objB) {
-    return [];
+    // Nothing to compare
+  } else if (objA === null || objA === undefined) {
+    context.differences.push({ type: 'added', path: '', value: objB });
+  } else if (objB === null || objB === undefined) {
+    context.differences.push({ type: 'removed', path: '', value: objA });
+  } else {
+    compareObjects(objA, objB, '', context);
+    if (options.detectMoves !== false) {
+      detectMoves(context.differences);
+    }
   }
 
-  if (objA === null || objA === undefined) {
-    return [{ type: 'added', path: '', value: objB }];
+  return {
+    differences: context.differences,
+    suppressed: context.suppressed
+  };
+}
+
+// Pairs a removal with an addition of a deep-equal value elsewhere in the
+// document and replaces both with a single `moved` entry. A value can also
+// move into a map or array that is new in B: it is then paired with part of
+// that addition, which keeps the rest of the added value.
+function detectMoves(differences) {
+  const candidates = new Map();
+
+  differences.forEach((diff, index) => {
+    if (diff.type === 'added' && diff.value !== undefined) {
+      collectMoveTargets(diff.value, diff.path, [], index, candidates);
+    }
+  });
+
+  if (candidates.size === 0) {
+    return;
   }
 
-  if (objB === null || objB === undefined) {
-    return [{ type: 'removed', path: '', value: objA }];
+  // Per consumed addition, the parts moved out of it (an empty segment list
+  // when the whole value moved).
+  const taken = new Map();
+  const isFree = candidate => (taken.get(candidate.index) || []).every(segments => !overlaps(segments, candidate.segments));
+
+  differences.forEach((diff, index) => {
+    if (diff.type !== 'removed' || diff.value === undefined) {
+      return;
+    }
+
+    const match = (candidates.get(JSON.stringify(diff.value)) || []).find(candidate =>
+      isFree(candidate) && canPairMove(diff, candidate) && deepEqual(candidate.value, diff.value)
+    );
+
+    if (match) {
+      if (!taken.has(match.index)) {
+        taken.set(match.index, []);
+      }
+      taken.get(match.index).push(match.segments);
+      differences[index] = {
+        type: 'moved',
+        path: match.path,
+        fromPath: diff.path,
+        toPath: match.path,
+        value: diff.value
+      };
+    }
+  });
+
+  for (const [index, moved] of taken) {
+    if (moved.some(segments => segments.length === 0)) {
+      differences[index] = undefined;
+      continue;
+    }
+
+    // Later siblings first, so array indexes of the remaining parts hold.
+    const value = structuredClone(differences[index].value);
+    for (const segments of moved.sort(comparePaths).reverse()) {
+      removeAt(value, segments);
+    }
+    differences[index] = { ...differences[index], value };
   }
 
-  const differences = [];
-  compareObjects(objA, objB, '', differences);
-  return differences;
+  for (let i = differences.length - 1; i >= 0; i--) {
+    if (differences[i] === undefined) {
+      differences.splice(i, 1);
+    }
+  }
+}
+
+// An added value and, for maps and arrays, every value nested in it, keyed by
+// JSON signature; outer values come first so a whole addition wins.
+function collectMoveTargets(value, path, segments, index, candidates) {
+  const signature = JSON.stringify(value);
+  if (!candidates.has(signature)) {
+    candidates.set(signature, []);
+  }
+  candidates.get(signature).push({ index, path, segments, value });
+
+  if (value === null || typeof value !== 'object' || isSpecialType(value)) {
+    return;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    const segment = Array.isArray(value) ? `[${key}]` : key;
+    const childPath = segment.startsWith('[') || !path ? `${path}${segment}` : `${path}.${segment}`;
+    collectMoveTargets(child, childPath, [...segments, segment], index, candidates);
+  }
+}
+
+function overlaps(segmentsA, segmentsB) {
+  const shared = Math.min(segmentsA.length, segmentsB.length);
+  return segmentsA.slice(0, shared).every((segment, i) => segment === segmentsB[i]);
+}
+
+function removeAt(value, segments) {
+  const parent = segments.slice(0, -1).reduce((current, segment) => current[segment.replace(/^\[(.*)\]$/, '$1')], value);
+  const last = segments[segments.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(last.slice(1, -1)), 1);
+  } else {
+    delete parent[last];
+  }
 }
 
-function compareObjects(objA, objB, path, differences) {
+// Scalars such as `true`, `0` or `""`, and empty maps and arrays, are equal by
+// coincidence far more often than they are moved, so they only pair when the
+// field keeps its name (e.g. `profile.phone` → `contact.phone`); array
+// elements never do. Other maps and arrays pair at any path. A value reported
+// at the same path on both sides has not moved.
+function canPairMove(removed, added) {
+  if (removed.path === added.path) {
+    return false;
+  }
+
+  if (removed.value !== null && typeof removed.value === 'object' && Object.keys(removed.value).length > 0) {
+    return true;
+  }
+
+  const leaf = parsePath(removed.path).pop();
+  return !leaf.startsWith('[') && leaf === parsePath(added.path).pop();
+}
+
+// Arrays larger than this (in LCS table cells) are aligned by position only.
+const MAX_LCS_CELLS = 1000000;
+
+function compareObjects(objA, objB, path, context) {
   const keysA = new Set(Object.keys(objA));
   const keysB = new Set(Object.keys(objB));
   const allKeys = new Set([...keysA, ...keysB]);
@@ -29,33 +164,405 @@ function compareObjects(objA, objB, path, differences) {
     const valueB = objB[key];
 
     if (!keysA.has(key)) {
-      differences.push({
+      context.differences.push({
         type: 'added',
         path: currentPath,
         value: valueB
       });
     } else if (!keysB.has(key)) {
-      differences.push({
+      context.differences.push({
         type: 'removed',
         path: currentPath,
         value: valueA
       });
-    } else if (!deepEqual(valueA, valueB)) {
-      if (isObject(valueA) && isObject(valueB) && !isSpecialType(valueA) && !isSpecialType(valueB)) {
-        compareObjects(valueA, valueB, currentPath, differences);
+    } else {
+      compareValues(valueA, valueB, currentPath, context);
+    }
+  }
+}
+
+function compareValues(valueA, valueB, path, context) {
+  const comparator = findLastMatch(context.options.comparators, path);
+  if (comparator) {
+    applyComparator(comparator, valueA, valueB, path, context);
+    return;
+  }
+
+  if (deepEqual(valueA, valueB)) {
+    return;
+  }
+
+  if (typeof valueA === 'number' && typeof valueB === 'number') {
+    compareNumbers(valueA, valueB, path, context);
+  } else if (Array.isArray(valueA) && Array.isArray(valueB)) {
+    const keyField = context.options.arrayKeys?.[toFieldPath(path)];
+    if (!keyField || !compareKeyedArrays(valueA, valueB, path, keyField, context)) {
+      compareArrays(valueA, valueB, path, context);
+    }
+  } else if (isTemporal(valueA) && isTemporal(valueB) && context.options.timeTolerance !== undefined) {
+    compareTimes(valueA, valueB, path, context);
+  } else if (isGeoPoint(valueA) && isGeoPoint(valueB) && context.options.geoTolerance !== undefined) {
+    compareGeoPoints(valueA, valueB, path, context);
+  } else if (isObject(valueA) && isObject(valueB) && !isSpecialType(valueA) && !isSpecialType(valueB)) {
+    compareObjects(valueA, valueB, path, context);
+  } else {
+    pushChange(valueA, valueB, path, context);
+  }
+}
+
+function pushChange(valueA, valueB, path, context) {
+  const oldType = getFirestoreType(valueA);
+  const newType = getFirestoreType(valueB);
+
+  if (oldType !== newType) {
+    context.differences.push({
+      type: 'typeChanged',
+      path,
+      oldType,
+      newType,
+      oldValue: valueA,
+      newValue: valueB
+    });
+  } else {
+    context.differences.push({
+      type: 'changed',
+      path,
+      oldValue: valueA,
+      newValue: valueB
+    });
+  }
+}
+
+// A custom comparator returns true (equal), false (changed) or its own list of
+// diff entries, which default to the comparator's path.
+function applyComparator({ pattern, compare }, valueA, valueB, path, context) {
+  let result;
+
+  try {
+    result = compare(valueA, valueB, path);
+  } catch (error) {
+    throw new Error(`Comparator "${pattern}" failed at ${path}: ${error.message}`);
+  }
+
+  if (result === true) {
+    return;
+  }
+
+  // Numbers are a plain change, as on the built-in path (see getFirestoreType).
+  if (result === false) {
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      context.differences.push({ type: 'changed', path, oldValue: valueA, newValue: valueB });
+    } else {
+      pushChange(valueA, valueB, path, context);
+    }
+    return;
+  }
+
+  if (!Array.isArray(result)) {
+    throw new Error(`Comparator "${pattern}" returned ${typeof result} at ${path}; expected a boolean or an array of diff entries`);
+  }
+
+  for (const entry of result) {
+    context.differences.push({ path, ...entry });
+  }
+}
+
+// Number-to-number changes never reach this: integer-valued doubles read back
+// as plain JS integers, so integer vs double cannot be told apart reliably.
+export function getFirestoreType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'double';
+  if (Array.isArray(value)) return 'array';
+
+  switch (value._type) {
+    case 'Timestamp':
+    case 'Date':
+      return 'Timestamp';
+    case 'GeoPoint':
+      return 'GeoPoint';
+    case 'DocumentReference':
+      return 'reference';
+    case 'Bytes':
+      return 'bytes';
+    default:
+      return typeof value === 'object' ? 'map' : typeof value;
+  }
+}
+
+function compareNumbers(valueA, valueB, path, context) {
+  const difference = {
+    type: 'changed',
+    path,
+    oldValue: valueA,
+    newValue: valueB
+  };
+
+  const absolute = findLastMatch(context.options.numTolerance, path)?.value;
+  const relative = findLastMatch(context.options.numRelTolerance, path)?.value;
+
+  if (absolute === undefined && relative === undefined) {
+    context.differences.push(difference);
+    return;
+  }
+
+  const delta = Math.abs(valueA - valueB);
+  const allowed = Math.max(absolute ?? 0, (relative ?? 0) * Math.max(Math.abs(valueA), Math.abs(valueB)));
+
+  difference.tolerance = { delta };
+  if (absolute !== undefined) difference.tolerance.absolute = absolute;
+  if (relative !== undefined) difference.tolerance.relative = relative;
+
+  recordWithinTolerance(difference, delta <= allowed, context);
+}
+
+function compareTimes(valueA, valueB, path, context) {
+  const delta = Math.abs(toMillis(valueA) - toMillis(valueB));
+  const window = context.options.timeTolerance;
+
+  recordWithinTolerance({
+    type: 'changed',
+    path,
+    oldValue: valueA,
+    newValue: valueB,
+    tolerance: { delta, unit: 'ms', time: window }
+  }, delta <= window, context);
+}
+
+function compareGeoPoints(valueA, valueB, path, context) {
+  const delta = distanceInMeters(valueA, valueB);
+  const distance = context.options.geoTolerance;
+
+  recordWithinTolerance({
+    type: 'changed',
+    path,
+    oldValue: valueA,
+    newValue: valueB,
+    tolerance: { delta, unit: 'm', distance }
+  }, delta <= distance, context);
+}
+
+function recordWithinTolerance(difference, withinTolerance, context) {
+  if (withinTolerance) {
+    context.suppressed.push(difference);
+  } else {
+    context.differences.push(difference);
+  }
+}
+
+function toMillis(value) {
+  if (value._type === 'Date') {
+    return value.timestamp;
+  }
+  return value.seconds * 1000 + value.nanoseconds / 1e6;
+}
+
+// Haversine distance on a spherical Earth (error well under 1%).
+function distanceInMeters(pointA, pointB) {
+  const EARTH_RADIUS_METERS = 6371008.8;
+  const toRadians = degrees => degrees * Math.PI / 180;
+
+  const dLat = toRadians(pointB.latitude - pointA.latitude);
+  const dLon = toRadians(pointB.longitude - pointA.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(pointA.latitude)) * Math.cos(toRadians(pointB.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Later rules take precedence, so a path-specific rule given after a global
+// one overrides it.
+function findLastMatch(rules, path) {
+  if (!rules) {
+    return undefined;
+  }
+
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchPath(rules[i].pattern, path)) {
+      return rules[i];
+    }
+  }
+
+  return undefined;
+}
+
+// Removed and changed elements are reported at their index in A, added
+// elements at their index in B.
+function compareArrays(arrayA, arrayB, path, context) {
+  let start = 0;
+  while (start < arrayA.length && start < arrayB.length && deepEqual(arrayA[start], arrayB[start])) {
+    start++;
+  }
+
+  let endA = arrayA.length;
+  let endB = arrayB.length;
+  while (endA > start && endB > start && deepEqual(arrayA[endA - 1], arrayB[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const anchors = alignArrays(arrayA, arrayB, start, endA, endB);
+  anchors.push([endA, endB]);
+
+  let i = start;
+  let j = start;
+
+  for (const [anchorA, anchorB] of anchors) {
+    const paired = Math.min(anchorA - i, anchorB - j);
+
+    for (let k = 0; k < paired; k++) {
+      compareValues(arrayA[i + k], arrayB[j + k], `${path}[${i + k}]`, context);
+    }
+
+    for (let k = i + paired; k < anchorA; k++) {
+      context.differences.push({
+        type: 'removed',
+        path: `${path}[${k}]`,
+        value: arrayA[k]
+      });
+    }
+
+    for (let k = j + paired; k < anchorB; k++) {
+      context.differences.push({
+        type: 'added',
+        path: `${path}[${k}]`,
+        value: arrayB[k]
+      });
+    }
+
+    i = anchorA + 1;
+    j = anchorB + 1;
+  }
+}
+
+// Matches elements by their key field instead of by position. Returns false
+// when an element lacks a usable key or a key repeats, so the caller can fall
+// back to positional alignment.
+function compareKeyedArrays(arrayA, arrayB, path, keyField, context) {
+  const mapA = indexByKey(arrayA, keyField);
+  const mapB = indexByKey(arrayB, keyField);
+
+  if (!mapA || !mapB) {
+    return false;
+  }
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, elementA] of mapA) {
+    if (!mapB.has(key)) {
+      removed.push({ key, value: elementA });
+    } else {
+      changed.push({ key, elementA, elementB: mapB.get(key) });
+    }
+  }
+
+  for (const [key, elementB] of mapB) {
+    if (!mapA.has(key)) {
+      added.push({ key, value: elementB });
+    }
+  }
+
+  const byKey = (a, b) => String(a.key).localeCompare(String(b.key));
+  const elementPath = key => `${path}[${keyField}=${key}]`;
+
+  for (const { key, value } of removed.sort(byKey)) {
+    context.differences.push({ type: 'removed', path: elementPath(key), key, value });
+  }
+
+  for (const { key, value } of added.sort(byKey)) {
+    context.differences.push({ type: 'added', path: elementPath(key), key, value });
+  }
+
+  for (const { key, elementA, elementB } of changed.sort(byKey)) {
+    compareValues(elementA, elementB, elementPath(key), context);
+  }
+
+  return true;
+}
+
+function indexByKey(array, keyField) {
+  const map = new Map();
+
+  for (const element of array) {
+    if (!isObject(element) || isSpecialType(element)) {
+      return null;
+    }
+
+    const key = getNestedValue(element, keyField);
+    if (key === null || key === undefined || typeof key === 'object' || map.has(key)) {
+      return null;
+    }
+
+    map.set(key, element);
+  }
+
+  return map;
+}
+
+function getNestedValue(obj, path) {
+  let current = obj;
+
+  for (const part of path.split('.')) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    current = current[part];
+  }
+
+  return current;
+}
+
+// Strips index and key selectors so `orders[2].lineItems` matches `orders.lineItems`.
+function toFieldPath(path) {
+  return path.replace(/\[[^\]]*\]/g, '');
+}
+
+function alignArrays(arrayA, arrayB, start, endA, endB) {
+  const rows = endA - start;
+  const cols = endB - start;
+
+  if (rows === 0 || cols === 0 || rows * cols > MAX_LCS_CELLS) {
+    return [];
+  }
+
+  // lengths[r * (cols + 1) + c] holds the LCS length of arrayA[start + r..endA)
+  // and arrayB[start + c..endB).
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+
+  for (let r = rows - 1; r >= 0; r--) {
+    for (let c = cols - 1; c >= 0; c--) {
+      if (deepEqual(arrayA[start + r], arrayB[start + c])) {
+        lengths[r * width + c] = lengths[(r + 1) * width + c + 1] + 1;
       } else {
-        differences.push({
-          type: 'changed',
-          path: currentPath,
-          oldValue: valueA,
-          newValue: valueB
-        });
+        lengths[r * width + c] = Math.max(lengths[(r + 1) * width + c], lengths[r * width + c + 1]);
       }
     }
   }
+
+  const anchors = [];
+  let r = 0;
+  let c = 0;
+
+  while (r < rows && c < cols) {
+    if (deepEqual(arrayA[start + r], arrayB[start + c])) {
+      anchors.push([start + r, start + c]);
+      r++;
+      c++;
+    } else if (lengths[(r + 1) * width + c] >= lengths[r * width + c + 1]) {
+      r++;
+    } else {
+      c++;
+    }
+  }
+
+  return anchors;
 }
 
-function deepEqual(a, b) {
+export function deepEqual(a, b) {
   if (a === b) return true;
   
   if (a === null || b === null) return false;
@@ -91,6 +598,14 @@ function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
 
+function isTemporal(value) {
+  return isObject(value) && (value._type === 'Timestamp' || value._type === 'Date');
+}
+
+function isGeoPoint(value) {
+  return isObject(value) && value._type === 'GeoPoint';
+}
+
 function isSpecialType(value) {
   return value && value._type && (
     value._type === 'Timestamp' ||
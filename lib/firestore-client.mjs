@@ -1,21 +1,66 @@
-import { Firestore } from '@google-cloud/firestore';
+import { Firestore, FieldPath, AggregateField } from '@google-cloud/firestore';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { homedir } from 'os';
 
+const GET_ALL_BATCH_SIZE = 100;
+
+// gRPC status codes of errors worth retrying: DEADLINE_EXCEEDED,
+// RESOURCE_EXHAUSTED and UNAVAILABLE.
+const RETRYABLE_CODES = new Set([4, 8, 14]);
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_TIMEOUT = 60000;
+const INITIAL_RETRY_DELAY = 250;
+const MAX_RETRY_DELAY = 10000;
+
 export class FirestoreClient {
   constructor(options) {
     this.projectId = options.projectId;
     this.serviceAccountPath = options.serviceAccountPath;
+    this.emulatorHost = options.emulatorHost;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryTimeout = options.retryTimeout ?? DEFAULT_RETRY_TIMEOUT;
+    this.retries = 0;
     this.db = null;
   }
 
   async initialize() {
+    this.db = new Firestore(await this.getSettings());
+    
+    try {
+      await this.withRetry(() => this.db.listCollections());
+    } catch (error) {
+      const target = this.emulatorHost ? `the Firestore emulator at ${this.emulatorHost}` : 'Firestore';
+      throw new Error(`Failed to connect to ${target} for project ${this.projectId}: ${error.message}`);
+    }
+  }
+
+  // An emulator is reached over plain HTTP as the owner, so no credentials are
+  // resolved for it. The SDK sends every client to FIRESTORE_EMULATOR_HOST when
+  // it is set, whatever `host` says, so it must name this client's emulator.
+  async getSettings() {
     const firestoreOptions = {
       projectId: this.projectId
     };
 
-    if (this.serviceAccountPath) {
+    const environmentHost = process.env.FIRESTORE_EMULATOR_HOST;
+    if (environmentHost && environmentHost !== this.emulatorHost) {
+      throw new Error(
+        `FIRESTORE_EMULATOR_HOST=${environmentHost} would send project ${this.projectId} to that emulator. ` +
+        'Unset it, or pass the same address as this side\'s emulator option'
+      );
+    }
+
+    if (this.emulatorHost) {
+      if (this.serviceAccountPath) {
+        throw new Error('A service account cannot be used with the Firestore emulator');
+      }
+      if (!/^[^:/\s]+:\d+$/.test(this.emulatorHost)) {
+        throw new Error(`Invalid emulator address "${this.emulatorHost}". Use host:port, e.g. localhost:8080`);
+      }
+      firestoreOptions.host = this.emulatorHost;
+      firestoreOptions.ssl = false;
+    } else if (this.serviceAccountPath) {
       const keyFilename = path.resolve(this.serviceAccountPath);
       await this.validateServiceAccount(keyFilename);
       firestoreOptions.keyFilename = keyFilename;
@@ -33,13 +78,7 @@ export class FirestoreClient {
       }
     }
 
-    this.db = new Firestore(firestoreOptions);
-    
-    try {
-      await this.db.listCollections();
-    } catch (error) {
-      throw new Error(`Failed to connect to Firestore for project ${this.projectId}: ${error.message}`);
-    }
+    return firestoreOptions;
   }
 
   async validateServiceAccount(path) {
@@ -52,8 +91,48 @@ export class FirestoreClient {
     }
   }
 
+  // Reads are retried after transient errors (see `retryAfter`); `retries`
+  // counts the retries made so far.
+  async withRetry(operation) {
+    let startedAt;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        startedAt ??= Date.now();
+        await this.retryAfter(error, attempt, startedAt);
+      }
+    }
+  }
+
+  // Waits before retrying after a DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED or
+  // UNAVAILABLE error, or throws once the error is not transient, `maxRetries`
+  // retries were made or the next one would end more than `retryTimeout` ms
+  // after the first failure.
+  async retryAfter(error, attempt, startedAt) {
+    if (!RETRYABLE_CODES.has(error?.code)) {
+      throw error;
+    }
+
+    const delay = this.getRetryDelay(attempt);
+    if (attempt >= this.maxRetries || Date.now() - startedAt + delay > this.retryTimeout) {
+      throw attempt > 0 ? new Error(`Giving up after ${attempt} retries: ${error.message}`) : error;
+    }
+
+    this.retries++;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  // Exponential backoff with jitter, so clients that failed together do not
+  // retry together: between half and all of the doubled delay.
+  getRetryDelay(attempt) {
+    const delay = Math.min(MAX_RETRY_DELAY, INITIAL_RETRY_DELAY * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+  }
+
   async getDocument(documentPath) {
-    const doc = await this.db.doc(documentPath).get();
+    const doc = await this.withRetry(() => this.db.doc(documentPath).get());
     if (!doc.exists) {
       return null;
     }
@@ -67,57 +146,216 @@ export class FirestoreClient {
     };
   }
 
-  async queryCollection(collectionPath, filters = [], options = {}) {
-    let query = this.db.collection(collectionPath);
+  // Fetches documents by path in batches, returning null for missing documents
+  // in the same order as `documentPaths`.
+  async getDocuments(documentPaths) {
+    const results = [];
 
-    for (const filter of filters) {
-      const parsed = this.parseFilter(filter);
-      if (parsed) {
-        query = query.where(parsed.field, parsed.operator, parsed.value);
+    for (let i = 0; i < documentPaths.length; i += GET_ALL_BATCH_SIZE) {
+      const refs = documentPaths.slice(i, i + GET_ALL_BATCH_SIZE).map(documentPath => this.db.doc(documentPath));
+      if (refs.length === 0) continue;
+
+      const docs = await this.withRetry(() => this.db.getAll(...refs));
+      for (const doc of docs) {
+        results.push(doc.exists ? {
+          id: doc.id,
+          path: doc.ref.path,
+          data: doc.data(),
+          metadata: {
+            createTime: doc.createTime,
+            updateTime: doc.updateTime
+          }
+        } : null);
       }
     }
 
-    if (options.orderBy) {
-      query = query.orderBy(options.orderBy);
-    }
+    return results;
+  }
 
-    if (options.limit) {
-      query = query.limit(options.limit);
+  async listCollections(documentPath) {
+    const parent = documentPath ? this.db.doc(documentPath) : this.db;
+    const collections = await this.withRetry(() => parent.listCollections());
+    return collections.map(collection => collection.id).sort();
+  }
+
+  // Includes documents that do not exist themselves but hold subcollections, so
+  // nested documents under them can still be reached.
+  async listDocumentIds(collectionPath) {
+    const refs = await this.withRetry(() => this.db.collection(collectionPath).listDocuments());
+    return refs.map(ref => ref.id).sort();
+  }
+
+  async queryCollection(collectionPath, filters = [], options = {}) {
+    if (options.pageSize) {
+      const pages = this.pageQuery(collectionPath, filters, options);
+      if (options.stream) {
+        return pages;
+      }
+
+      const results = [];
+      for await (const result of pages) {
+        results.push(result);
+      }
+      return results;
     }
 
+    const query = this.buildQuery(collectionPath, filters, options);
+
     if (options.stream) {
       return this.streamQuery(query, options);
     }
 
-    const snapshot = await query.get();
+    const snapshot = await this.withRetry(() => query.get());
     const results = [];
     
     snapshot.forEach(doc => {
-      results.push({
-        id: doc.id,
-        data: doc.data(),
-        metadata: {
-          createTime: doc.createTime,
-          updateTime: doc.updateTime
-        }
-      });
+      results.push(toResult(doc));
     });
 
     return results;
   }
 
+  // Reads the query in pages of `options.pageSize` documents, each page starting
+  // after the last document of the previous one. `__name__` is appended to the
+  // ordering so documents sharing a value are never skipped, and every result
+  // carries its `cursor`, which a later read can pass as `startAfter`.
+  async *pageQuery(collectionPath, filters = [], options = {}) {
+    const orderBy = [].concat(options.orderBy || []);
+    if (!orderBy.includes('__name__')) {
+      orderBy.push('__name__');
+    }
+
+    let startAfter = options.startAfter;
+    let remaining = options.limit || Infinity;
+
+    while (remaining > 0) {
+      const limit = Math.min(options.pageSize, remaining);
+      const query = this.buildQuery(collectionPath, filters, { orderBy, startAfter, limit });
+      const snapshot = await this.withRetry(() => query.get());
+
+      for (const doc of snapshot.docs) {
+        startAfter = getCursorValues(doc, orderBy, collectionPath);
+        yield { ...toResult(doc), cursor: startAfter };
+      }
+
+      remaining -= snapshot.size;
+      if (snapshot.size < limit) {
+        return;
+      }
+    }
+  }
+
+  // Counts the documents in a key range and sums `options.sumFields` over them
+  // with a server-side aggregation, without reading the documents.
+  async aggregateRange(collectionPath, filters = [], options = {}) {
+    const { sumFields = [] } = options;
+    const aggregates = { count: AggregateField.count() };
+
+    sumFields.forEach((field, index) => {
+      aggregates[`sum${index}`] = AggregateField.sum(field);
+    });
+
+    const query = this.buildQuery(collectionPath, filters, options).aggregate(aggregates);
+    const snapshot = await this.withRetry(() => query.get());
+    const data = snapshot.data();
+
+    return {
+      count: data.count,
+      sums: sumFields.map((field, index) => data[`sum${index}`])
+    };
+  }
+
+  // Returns the `orderBy` value (a cursor usable on both sides of a comparison)
+  // of the first document in the query, or of the last with `descending`, or
+  // undefined when it is empty.
+  async findFirstKey(collectionPath, filters = [], options = {}) {
+    const orderBy = [].concat(options.orderBy);
+    const query = this.buildQuery(collectionPath, filters, { ...options, limit: undefined });
+    const fields = orderBy.filter(field => field !== '__name__');
+    const snapshot = await this.withRetry(() => query.limit(1).select(...fields).get());
+
+    if (snapshot.empty) {
+      return undefined;
+    }
+
+    const values = getCursorValues(snapshot.docs[0], orderBy, collectionPath);
+    return Array.isArray(options.orderBy) ? values : values[0];
+  }
+
+  // A `group:<id>` path queries every collection with that ID, wherever it is
+  // nested, through a collection group query. Filters are strings for
+  // parseFilter or `{ field, operator, value }` objects, where `__name__` is the
+  // document ID. `orderBy` is a field or an array of fields, sorted descending
+  // with `descending`, and `startAt`/`startAfter`/`endBefore` bound the results
+  // to a range of it.
+  buildQuery(collectionPath, filters = [], options = {}) {
+    let query = collectionPath.startsWith('group:')
+      ? this.db.collectionGroup(collectionPath.slice('group:'.length))
+      : this.db.collection(collectionPath);
+
+    for (const filter of filters) {
+      const parsed = typeof filter === 'string' ? this.parseFilter(filter) : filter;
+      if (parsed) {
+        const field = parsed.field === '__name__' ? FieldPath.documentId() : parsed.field;
+        query = query.where(field, parsed.operator, parsed.value);
+      }
+    }
+
+    for (const field of [].concat(options.orderBy || [])) {
+      const fieldPath = field === '__name__' ? FieldPath.documentId() : field;
+      query = options.descending ? query.orderBy(fieldPath, 'desc') : query.orderBy(fieldPath);
+    }
+
+    // With several orderBy fields, cursors are tuples holding one value per field.
+    const cursor = value => Array.isArray(options.orderBy) ? value : [value];
+
+    if (options.startAt !== undefined) {
+      query = query.startAt(...cursor(options.startAt));
+    }
+
+    if (options.startAfter !== undefined) {
+      query = query.startAfter(...cursor(options.startAfter));
+    }
+
+    if (options.endBefore !== undefined) {
+      query = query.endBefore(...cursor(options.endBefore));
+    }
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    return query;
+  }
+
+  // A stream interrupted by a transient error is reopened after the last
+  // document received rather than from the start. The retry budget resets
+  // whenever the stream makes progress.
   async *streamQuery(query, options = {}) {
-    const stream = query.stream();
-    
-    for await (const doc of stream) {
-      yield {
-        id: doc.id,
-        data: doc.data(),
-        metadata: {
-          createTime: doc.createTime,
-          updateTime: doc.updateTime
+    let last;
+    let received = 0;
+    let attempt = 0;
+    let startedAt;
+
+    for (;;) {
+      let resumed = last ? query.startAfter(last) : query;
+      if (last && options.limit) {
+        resumed = resumed.limit(options.limit - received);
+      }
+
+      try {
+        for await (const doc of resumed.stream()) {
+          last = doc;
+          received++;
+          attempt = 0;
+          startedAt = undefined;
+          yield toResult(doc);
         }
-      };
+        return;
+      } catch (error) {
+        startedAt ??= Date.now();
+        await this.retryAfter(error, attempt++, startedAt);
+      }
     }
   }
 
@@ -173,4 +411,27 @@ export class FirestoreClient {
       return this.db.terminate();
     }
   }
-}
\ No newline at end of file
+}
+
+// Cursor values of a document for `orderBy`; `__name__` is the document ID, or
+// the full path in a collection group query.
+function getCursorValues(doc, orderBy, collectionPath) {
+  return orderBy.map(field => {
+    if (field === '__name__') {
+      return collectionPath.startsWith('group:') ? doc.ref.path : doc.id;
+    }
+    return doc.get(field);
+  });
+}
+
+function toResult(doc) {
+  return {
+    id: doc.id,
+    path: doc.ref.path,
+    data: doc.data(),
+    metadata: {
+      createTime: doc.createTime,
+      updateTime: doc.updateTime
+    }
+  };
+}
@@ -1,23 +1,178 @@
 import chalk from 'chalk';
 import { diffJson } from 'diff';
+import { parsePath, comparePaths } from './path-matcher.mjs';
 
-export function formatDiff(diff, format = 'pretty') {
+export function formatDiff(diff, format = 'pretty', details = {}) {
   if (format === 'json') {
-    return formatJsonOutput(diff);
+    return formatJsonOutput(diff, details);
+  }
+
+  if (format === 'json-patch') {
+    return formatJsonPatch(diff, details);
   }
   
   if (format === 'side-by-side') {
     if (Array.isArray(diff)) {
       return formatDocumentDiffSideBySide(diff);
     }
-    return formatQueryDiffSideBySide(diff);
+    return formatQueryDiffSideBySide(diff) + formatKeyIssues(diff);
   }
   
   if (Array.isArray(diff)) {
-    return formatDocumentDiff(diff);
+    return formatDocumentDiff(diff) + formatSubcollections(details.collections);
   }
   
-  return formatQueryDiff(diff);
+  return formatQueryDiff(diff) + formatKeyIssues(diff) + formatMissing(details.missing) +
+    formatCheckedByHash(details.checkedByHash) + formatRangeReport(details.ranges) + formatSample(details.sample);
+}
+
+function formatMissing(missing) {
+  if (!missing || missing.length === 0) {
+    return '';
+  }
+
+  return '\n' + chalk.gray(`${missing.length} document${missing.length === 1 ? '' : 's'} missing on both sides: ${missing.join(', ')}`);
+}
+
+function formatKeyIssues(diff) {
+  const { duplicates, unkeyed } = countKeyIssues(diff);
+  let output = '';
+
+  if (duplicates > 0) {
+    output += chalk.yellow(`\n━━━ Duplicate keys (${duplicates}) ━━━\n`);
+    for (const side of ['a', 'b']) {
+      for (const duplicate of diff.duplicates[side]) {
+        output += formatQueryDiffEntry({ type: 'duplicates', side, ...duplicate });
+      }
+    }
+  }
+
+  if (unkeyed > 0) {
+    output += chalk.yellow(`\n━━━ Unkeyed documents (${unkeyed}) ━━━\n`);
+    for (const side of ['a', 'b']) {
+      if (diff.unkeyed[side].length > 0) {
+        output += formatQueryDiffEntry({ type: 'unkeyed', side, ids: diff.unkeyed[side] });
+      }
+    }
+  }
+
+  return output;
+}
+
+function formatSample(sample) {
+  if (!sample) {
+    return '';
+  }
+
+  let output = '\n' + chalk.gray(`Sampled ${sample.size} document${sample.size === 1 ? '' : 's'} (seed ${sample.seed})`);
+
+  for (const stratum of sample.strata || []) {
+    output += '\n' + chalk.gray(`  ${sample.by} = ${formatCompactValue(stratum.value)}: ${stratum.size}`);
+  }
+
+  return output;
+}
+
+function formatRangeReport(ranges) {
+  if (!ranges) {
+    return '';
+  }
+
+  const matched = ranges.filter(range => range.matched).length;
+  let output = chalk.bold('\nKey ranges:\n');
+
+  for (const range of ranges) {
+    if (range.matched && range.depth > 0) continue;
+
+    const bounds = `[${formatRangeBound(range.startAt)} … ${formatRangeBound(range.endBefore)})`;
+    const counts = chalk.gray(`A: ${range.countA}  B: ${range.countB}`);
+    let line = `${'  '.repeat(range.depth)}${range.matched ? chalk.green('✓') : chalk.yellow('✗')} ${bounds}  ${counts}`;
+
+    if (range.differences) {
+      const { added, removed, changed } = range.differences;
+      line += `  ${chalk.red(`-${removed}`)} ${chalk.green(`+${added}`)} ${chalk.blue(`~${changed}`)}`;
+    }
+
+    output += line + '\n';
+  }
+
+  output += chalk.gray(`${matched} of ${ranges.length} range${ranges.length === 1 ? '' : 's'} matched by fingerprint`);
+  if (matched > 0) {
+    output += chalk.gray('\nMatched ranges were not read; changes to fields outside the fingerprint are not found there');
+  }
+  return output;
+}
+
+function formatRangeBound(value) {
+  return value === undefined ? '*' : JSON.stringify(value);
+}
+
+function formatCheckedByHash(checkedByHash) {
+  if (checkedByHash === undefined) {
+    return '';
+  }
+
+  return '\n' + chalk.gray(`${checkedByHash} matching document${checkedByHash === 1 ? '' : 's'} checked by hash alone`);
+}
+
+function formatSubcollections(collections) {
+  if (!collections) {
+    return '';
+  }
+
+  if (collections.length === 0) {
+    return '\n' + chalk.green('✓ Subcollections are identical');
+  }
+
+  return chalk.yellow('\n⚠ Subcollection differences found:\n\n') + formatCollectionTree(collections, '');
+}
+
+function formatCollectionTree(collections, prefix) {
+  let output = '';
+
+  collections.forEach((collection, index) => {
+    const last = index === collections.length - 1;
+    const childPrefix = prefix + (last ? '    ' : '│   ');
+
+    output += prefix + (last ? '└── ' : '├── ') + formatCollectionLabel(collection) + '\n';
+
+    if (collection.onlyIn) {
+      return;
+    }
+
+    const { added, removed, changed } = collection.diff;
+    for (const item of removed) {
+      output += childPrefix + chalk.red(`- [${formatKey(item.key)}]`) + '\n';
+    }
+    for (const item of added) {
+      output += childPrefix + chalk.green(`+ [${formatKey(item.key)}]`) + '\n';
+    }
+    for (const item of changed) {
+      output += childPrefix + chalk.blue(`~ [${formatKey(item.key)}]`) + '\n';
+      for (const entry of item.diff) {
+        output += `${childPrefix}  ${formatSingleDiff(entry).replace(/\n/g, `\n${childPrefix}  `)}\n`;
+      }
+    }
+
+    for (const doc of collection.documents) {
+      output += childPrefix + chalk.bold(`[${formatKey(doc.key)}]`) + '\n';
+      output += formatCollectionTree(doc.collections, childPrefix + '  ');
+    }
+  });
+
+  return output;
+}
+
+function formatCollectionLabel(collection) {
+  if (collection.onlyIn === 'A') {
+    return chalk.red(`${collection.name}/ (only in A)`);
+  }
+  if (collection.onlyIn === 'B') {
+    return chalk.green(`${collection.name}/ (only in B)`);
+  }
+
+  const { added, removed, changed } = collection.diff;
+  return `${collection.name}/ ` + chalk.gray(`(${added.length} added, ${removed.length} removed, ${changed.length} changed)`);
 }
 
 function formatDocumentDiff(differences) {
@@ -47,33 +202,70 @@ function formatQueryDiff(diff) {
   if (removed.length > 0) {
     output += chalk.red(`\n━━━ Removed (${removed.length} documents) ━━━\n`);
     for (const item of removed) {
-      output += chalk.red(`- [${item.key}]`) + '\n';
-      output += formatValue(item.document, '  ', chalk.red) + '\n';
+      output += formatQueryDiffEntry({ type: 'removed', ...item });
     }
   }
 
   if (added.length > 0) {
     output += chalk.green(`\n━━━ Added (${added.length} documents) ━━━\n`);
     for (const item of added) {
-      output += chalk.green(`+ [${item.key}]`) + '\n';
-      output += formatValue(item.document, '  ', chalk.green) + '\n';
+      output += formatQueryDiffEntry({ type: 'added', ...item });
     }
   }
 
   if (changed.length > 0) {
     output += chalk.blue(`\n━━━ Changed (${changed.length} documents) ━━━\n`);
     for (const item of changed) {
-      output += chalk.blue(`~ [${item.key}]`) + '\n';
-      for (const diff of item.diff) {
-        output += '  ' + formatSingleDiff(diff) + '\n';
-      }
-      output += '\n';
+      output += formatQueryDiffEntry({ type: 'changed', ...item });
     }
   }
 
   return output;
 }
 
+export function formatQueryDiffEntry(entry) {
+  switch (entry.type) {
+    case 'removed':
+      return chalk.red(`- [${formatKey(entry.key)}]`) + '\n' + formatValue(entry.document, '  ', chalk.red) + '\n';
+
+    case 'added':
+      return chalk.green(`+ [${formatKey(entry.key)}]`) + '\n' + formatValue(entry.document, '  ', chalk.green) + '\n';
+
+    case 'changed':
+      return chalk.blue(`~ [${formatKey(entry.key)}]`) + '\n' +
+        entry.diff.map(diff => '  ' + formatSingleDiff(diff) + '\n').join('') + '\n';
+
+    case 'duplicates':
+      return chalk.yellow(`! [${formatKey(entry.key)}] shared in ${entry.side.toUpperCase()} by: `) + entry.ids.join(', ') + '\n';
+
+    case 'unkeyed':
+      return chalk.yellow(`! No key in ${entry.side.toUpperCase()}: `) + entry.ids.join(', ') + '\n';
+
+    default:
+      return '';
+  }
+}
+
+export function formatQueryDiffSummary(counts) {
+  const { added, removed, changed, duplicates = 0, unkeyed = 0 } = counts;
+  const keyIssues = (duplicates > 0 ? `, ${duplicates} duplicate key${duplicates === 1 ? '' : 's'}` : '') +
+    (unkeyed > 0 ? `, ${unkeyed} unkeyed` : '');
+
+  if (added === 0 && removed === 0 && changed === 0) {
+    return chalk.green('✓ Query results are identical') + chalk.yellow(keyIssues);
+  }
+
+  return chalk.yellow(`\n⚠ ${removed} removed, ${added} added, ${changed} changed${keyIssues}`);
+}
+
+// Composite keys are tuples; they read as `(o-1001, 2)`.
+function formatKey(key) {
+  if (Array.isArray(key)) {
+    return `(${key.map(component => typeof component === 'string' ? component : JSON.stringify(component)).join(', ')})`;
+  }
+  return key;
+}
+
 function formatSingleDiff(diff) {
   const path = chalk.gray(diff.path || 'root');
 
@@ -84,8 +276,16 @@ function formatSingleDiff(diff) {
     case 'removed':
       return `${chalk.red('-')} ${path}: ${formatValue(diff.value, '', chalk.red)}`;
     
+    case 'typeChanged':
+      return `${chalk.yellow('!')} ${path} ${chalk.yellow(`(${diff.oldType} → ${diff.newType})`)}:\n` +
+             `    ${chalk.red('- ' + formatValue(diff.oldValue))}\n` +
+             `    ${chalk.green('+ ' + formatValue(diff.newValue))}`;
+    
+    case 'moved':
+      return `${chalk.magenta('»')} ${chalk.gray(diff.fromPath)} → ${chalk.gray(diff.toPath)}: ${formatValue(diff.value, '', chalk.magenta)}`;
+    
     case 'changed':
-      return `${chalk.blue('~')} ${path}:\n` +
+      return `${chalk.blue('~')} ${path}${formatDelta(diff.tolerance)}:\n` +
              `    ${chalk.red('- ' + formatValue(diff.oldValue))}\n` +
              `    ${chalk.green('+ ' + formatValue(diff.newValue))}`;
     
@@ -94,6 +294,23 @@ function formatSingleDiff(diff) {
   }
 }
 
+function formatDelta(tolerance) {
+  if (!tolerance) {
+    return '';
+  }
+
+  let delta;
+  if (tolerance.unit === 'ms') {
+    delta = tolerance.delta >= 1000 ? `${tolerance.delta / 1000}s` : `${tolerance.delta}ms`;
+  } else if (tolerance.unit === 'm') {
+    delta = tolerance.delta >= 1000 ? `${(tolerance.delta / 1000).toFixed(2)}km` : `${tolerance.delta.toFixed(1)}m`;
+  } else {
+    delta = String(tolerance.delta);
+  }
+
+  return chalk.gray(` (Δ ${delta})`);
+}
+
 function formatValue(value, indent = '', colorFn = null) {
   if (value === null) return colorFn ? colorFn('null') : 'null';
   if (value === undefined) return colorFn ? colorFn('undefined') : 'undefined';
@@ -171,25 +388,409 @@ function formatSpecialType(value) {
   }
 }
 
-function formatJsonOutput(diff) {
+function formatJsonOutput(diff, details = {}) {
   if (Array.isArray(diff)) {
-    return {
+    const output = {
       type: 'document',
       hasDifferences: diff.length > 0,
+      summary: {
+        differences: diff.length,
+        typeChanges: countTypeChanges(diff)
+      },
       differences: diff
     };
+
+    if (details.suppressed?.length > 0) {
+      output.suppressed = details.suppressed;
+    }
+
+    if (details.collections) {
+      output.hasDifferences = output.hasDifferences || details.collections.length > 0;
+      output.collections = details.collections;
+    }
+
+    return output;
   }
 
-  return {
+  const output = {
     type: 'query',
     hasDifferences: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0,
     summary: {
       added: diff.added.length,
       removed: diff.removed.length,
-      changed: diff.changed.length
+      changed: diff.changed.length,
+      typeChanges: countTypeChanges(diff),
+      ...countKeyIssues(diff)
     },
     differences: diff
   };
+
+  if (details.checkedByHash !== undefined) {
+    output.summary.checkedByHash = details.checkedByHash;
+  }
+
+  if (details.missing) {
+    output.summary.missing = details.missing.length;
+    output.missing = details.missing;
+  }
+
+  if (details.ranges) {
+    output.ranges = details.ranges;
+  }
+
+  if (details.sample) {
+    output.sample = details.sample;
+  }
+
+  return output;
+}
+
+const THREE_WAY_SECTIONS = [
+  { name: 'changedInA', title: 'Changed in A', color: chalk.blue },
+  { name: 'changedInB', title: 'Changed in B', color: chalk.green },
+  { name: 'changedInBoth', title: 'Changed identically in both', color: chalk.gray },
+  { name: 'conflicts', title: 'Conflicts', color: chalk.red }
+];
+
+export function formatThreeWayDiff(threeWay, format = 'pretty') {
+  const documents = threeWay.documents || [{ key: null, ...threeWay }];
+
+  if (format === 'json') {
+    const summary = {};
+    for (const { name } of THREE_WAY_SECTIONS) {
+      summary[name] = documents.reduce((total, doc) => total + doc[name].length, 0);
+    }
+
+    return {
+      type: threeWay.documents ? 'three-way-query' : 'three-way-document',
+      hasDifferences: Object.values(summary).some(count => count > 0),
+      summary,
+      differences: threeWay
+    };
+  }
+
+  if (documents.every(doc => THREE_WAY_SECTIONS.every(({ name }) => doc[name].length === 0))) {
+    return chalk.green('✓ Neither side has changed since the base snapshot');
+  }
+
+  let output = chalk.yellow('\n⚠ Changes since the base snapshot:\n');
+
+  for (const doc of documents) {
+    const indent = doc.key === null ? '' : '  ';
+
+    if (doc.key !== null) {
+      output += chalk.bold(`\n[${formatKey(doc.key)}]\n`);
+    }
+
+    for (const { name, title, color } of THREE_WAY_SECTIONS) {
+      if (doc[name].length === 0) continue;
+
+      output += color(`\n${indent}━━━ ${title} (${doc[name].length}) ━━━\n`);
+      for (const group of doc[name]) {
+        for (const [side, entries] of [['A', group.a], ['B', group.b]]) {
+          for (const entry of entries) {
+            output += `${indent}${chalk.bold(side)} ${formatSingleDiff(entry)}\n`;
+          }
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+export function formatDatabaseDiff(diff, format = 'pretty') {
+  const { collections } = diff;
+  const compared = collections.filter(collection => !collection.onlyIn);
+  const total = field => compared.reduce((sum, collection) => sum + collection.diff[field].length, 0);
+
+  if (format === 'json') {
+    return {
+      type: 'database',
+      hasDifferences: collections.some(collection => collection.onlyIn || collection.hasDifferences),
+      summary: {
+        collections: collections.length,
+        changedCollections: compared.filter(collection => collection.hasDifferences).length,
+        onlyInA: collections.filter(collection => collection.onlyIn === 'A').length,
+        onlyInB: collections.filter(collection => collection.onlyIn === 'B').length,
+        added: total('added'),
+        removed: total('removed'),
+        changed: total('changed'),
+        typeChanges: countTypeChanges(diff)
+      },
+      collections: collections.map(collection => collection.onlyIn ? collection : {
+        name: collection.name,
+        summary: {
+          added: collection.diff.added.length,
+          removed: collection.diff.removed.length,
+          changed: collection.diff.changed.length
+        },
+        differences: collection.diff
+      })
+    };
+  }
+
+  if (collections.length === 0) {
+    return chalk.yellow('No collections matched');
+  }
+
+  if (!collections.some(collection => collection.onlyIn || collection.hasDifferences)) {
+    return chalk.green(`✓ No differences across ${collections.length} collection${collections.length === 1 ? '' : 's'}`);
+  }
+
+  const nameWidth = Math.max(10, ...collections.map(collection => collection.name.length)) + 2;
+  let output = chalk.yellow('\n⚠ Database differences found:\n\n');
+
+  output += chalk.bold('Collection'.padEnd(nameWidth) + 'Added'.padStart(8) + 'Removed'.padStart(9) + 'Changed'.padStart(9)) + '\n';
+
+  for (const collection of collections) {
+    const name = collection.name.padEnd(nameWidth);
+
+    if (collection.onlyIn) {
+      const color = collection.onlyIn === 'A' ? chalk.red : chalk.green;
+      output += name + color(`only in ${collection.onlyIn}`.padStart(26)) + '\n';
+    } else {
+      const { added, removed, changed } = collection.diff;
+      const counts = String(added.length).padStart(8) + String(removed.length).padStart(9) + String(changed.length).padStart(9);
+      output += name + (collection.hasDifferences ? counts : chalk.gray(counts)) + '\n';
+    }
+  }
+
+  output += chalk.bold('Total'.padEnd(nameWidth) +
+    String(total('added')).padStart(8) + String(total('removed')).padStart(9) + String(total('changed')).padStart(9)) + '\n';
+
+  return output;
+}
+
+export function countTypeChanges(diff) {
+  if (diff.collections) {
+    return diff.collections.reduce((sum, collection) => sum + (collection.diff ? countTypeChanges(collection.diff) : 0), 0);
+  }
+
+  const entries = Array.isArray(diff) ? diff : diff.changed.flatMap(item => item.diff);
+  return entries.filter(entry => entry.type === 'typeChanged').length;
+}
+
+// Counts keys held by more than one document and documents with no key value,
+// on either side and across every collection of a database diff.
+export function countKeyIssues(diff) {
+  if (diff.collections) {
+    return diff.collections.reduce((counts, collection) => {
+      const { duplicates, unkeyed } = collection.diff ? countKeyIssues(collection.diff) : { duplicates: 0, unkeyed: 0 };
+      return { duplicates: counts.duplicates + duplicates, unkeyed: counts.unkeyed + unkeyed };
+    }, { duplicates: 0, unkeyed: 0 });
+  }
+
+  if (Array.isArray(diff) || !diff.duplicates) {
+    return { duplicates: 0, unkeyed: 0 };
+  }
+
+  return {
+    duplicates: diff.duplicates.a.length + diff.duplicates.b.length,
+    unkeyed: diff.unkeyed.a.length + diff.unkeyed.b.length
+  };
+}
+
+// Builds RFC 6902 operations that turn source A into source B.
+function formatJsonPatch(diff, details = {}) {
+  if (Array.isArray(diff)) {
+    return createJsonPatch(diff, details.documentA);
+  }
+
+  const patches = {};
+
+  for (const item of diff.removed) {
+    patches[formatKey(item.key)] = [{ op: 'remove', path: '' }];
+  }
+
+  for (const item of diff.added) {
+    patches[formatKey(item.key)] = [{ op: 'add', path: '', value: item.document }];
+  }
+
+  for (const item of diff.changed) {
+    patches[formatKey(item.key)] = createJsonPatch(item.diff, item.documentA);
+  }
+
+  return patches;
+}
+
+// Paths inside array elements use A's indexes, while an added element is at
+// its index in B. Operations that do not insert or remove array elements all
+// address A's layout, so they run first. Each array's elements are then
+// removed from the end backwards and added in ascending B order, starting
+// with the most deeply nested arrays so the elements holding them have not
+// shifted yet. A moved element becomes a removal plus an addition, since its
+// two indexes belong to different layouts, and a value moved into a map or
+// array that is new in B is added back as part of it.
+function createJsonPatch(differences, documentA) {
+  differences = restoreMovesIntoAdditions(differences);
+
+  const replaces = [];
+  const moves = [];
+  const removes = [];
+  const adds = [];
+  const arrays = new Map();
+
+  const push = (operations, operation, path) => {
+    if (!isElementPath(path)) {
+      operations.push(operation);
+      return;
+    }
+
+    const parent = operation.path.slice(0, operation.path.lastIndexOf('/'));
+    if (!arrays.has(parent)) {
+      arrays.set(parent, { removes: [], adds: [] });
+    }
+    arrays.get(parent)[operation.op === 'remove' ? 'removes' : 'adds'].push(operation);
+  };
+
+  for (const diff of differences) {
+    switch (diff.type) {
+      case 'added':
+        push(adds, { op: 'add', path: toJsonPointer(diff.path, documentA), value: diff.value }, diff.path);
+        break;
+
+      case 'removed':
+        push(removes, { op: 'remove', path: toJsonPointer(diff.path, documentA) }, diff.path);
+        break;
+
+      case 'changed':
+      case 'typeChanged':
+        replaces.push({ op: 'replace', path: toJsonPointer(diff.path, documentA), value: diff.newValue });
+        break;
+
+      case 'moved':
+        if (isElementPath(diff.fromPath) || isElementPath(diff.toPath)) {
+          push(removes, { op: 'remove', path: toJsonPointer(diff.fromPath, documentA) }, diff.fromPath);
+          push(adds, { op: 'add', path: toJsonPointer(diff.toPath, documentA), value: diff.value }, diff.toPath);
+        } else {
+          moves.push({ op: 'move', from: toJsonPointer(diff.fromPath, documentA), path: toJsonPointer(diff.toPath, documentA) });
+        }
+        break;
+    }
+  }
+
+  const operations = [...replaces, ...moves, ...removes, ...adds];
+  const depth = pointer => pointer.split('/').length;
+
+  for (const parent of [...arrays.keys()].sort((a, b) => depth(b) - depth(a))) {
+    const elements = arrays.get(parent);
+    elements.removes.sort((a, b) => comparePointers(b.path, a.path));
+    elements.adds.sort((a, b) => comparePointers(a.path, b.path));
+    operations.push(...elements.removes, ...elements.adds);
+  }
+
+  return operations;
+}
+
+function restoreMovesIntoAdditions(differences) {
+  const additions = differences.filter(diff => diff.type === 'added');
+  const restored = new Map();
+  const result = [];
+
+  for (const diff of differences) {
+    const segments = diff.type === 'moved' ? parsePath(diff.toPath) : undefined;
+    const container = segments && additions.find(added => {
+      const parent = parsePath(added.path);
+      return segments.length > parent.length && parent.every((segment, i) => segment === segments[i]);
+    });
+
+    if (!container) {
+      result.push(diff);
+      continue;
+    }
+
+    if (!restored.has(container)) {
+      restored.set(container, []);
+    }
+    restored.get(container).push({ segments: segments.slice(parsePath(container.path).length), value: diff.value });
+    result.push({ type: 'removed', path: diff.fromPath, value: diff.value });
+  }
+
+  return result.map(diff => {
+    if (!restored.has(diff)) {
+      return diff;
+    }
+
+    // In ascending order, so each array index is where the value sits in B.
+    const value = structuredClone(diff.value);
+    for (const { segments, value: moved } of restored.get(diff).sort((a, b) => comparePaths(a.segments, b.segments))) {
+      const parent = segments.slice(0, -1).reduce((current, segment) => current[segment.replace(/^\[(.*)\]$/, '$1')], value);
+      const last = segments[segments.length - 1];
+      if (Array.isArray(parent)) {
+        parent.splice(Number(last.slice(1, -1)), 0, moved);
+      } else {
+        parent[last] = moved;
+      }
+    }
+    return { ...diff, value };
+  });
+}
+
+function isElementPath(path) {
+  return parsePath(path).pop()?.startsWith('[') ?? false;
+}
+
+// Resolves `[field=value]` selectors to array indexes by looking them up in
+// source A; elements that only exist in B are appended with `-`.
+function toJsonPointer(path, documentA) {
+  let current = documentA;
+  let pointer = '';
+
+  for (const segment of parsePath(path)) {
+    let token;
+
+    if (segment.startsWith('[')) {
+      const selector = segment.slice(1, -1);
+      const separator = selector.indexOf('=');
+
+      if (separator === -1) {
+        token = selector;
+      } else {
+        const index = findKeyedIndex(current, selector.slice(0, separator), selector.slice(separator + 1));
+        token = index === -1 ? '-' : String(index);
+      }
+    } else {
+      token = segment;
+    }
+
+    current = current?.[token];
+    pointer += '/' + token.replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  return pointer;
+}
+
+function findKeyedIndex(array, keyField, keyValue) {
+  if (!Array.isArray(array)) {
+    return -1;
+  }
+
+  return array.findIndex(element => {
+    let value = element;
+    for (const part of keyField.split('.')) {
+      value = value?.[part];
+    }
+    return value !== undefined && String(value) === keyValue;
+  });
+}
+
+function comparePointers(a, b) {
+  const tokensA = a.split('/');
+  const tokensB = b.split('/');
+
+  for (let i = 0; i < Math.min(tokensA.length, tokensB.length); i++) {
+    if (tokensA[i] === tokensB[i]) continue;
+
+    const isIndexA = /^\d+$/.test(tokensA[i]);
+    const isIndexB = /^\d+$/.test(tokensB[i]);
+    if (isIndexA && isIndexB) {
+      return Number(tokensA[i]) - Number(tokensB[i]);
+    }
+    return tokensA[i] < tokensB[i] ? -1 : 1;
+  }
+
+  return tokensA.length - tokensB.length;
 }
 
 function formatDocumentDiffSideBySide(differences) {
@@ -208,16 +809,22 @@ function formatDocumentDiffSideBySide(differences) {
   const changesByPath = new Map();
   
   for (const diff of differences) {
+    if (diff.type === 'moved') {
+      changesByPath.set(`${diff.fromPath} → ${diff.toPath}`, { before: diff.value, after: diff.value, type: diff.type });
+      continue;
+    }
+
     if (!changesByPath.has(diff.path)) {
       changesByPath.set(diff.path, { before: null, after: null, type: diff.type });
     }
     
     const change = changesByPath.get(diff.path);
-    if (diff.type === 'removed' || diff.type === 'changed') {
-      change.before = diff.type === 'changed' ? diff.oldValue : diff.value;
+    const isChange = diff.type === 'changed' || diff.type === 'typeChanged';
+    if (diff.type === 'removed' || isChange) {
+      change.before = isChange ? diff.oldValue : diff.value;
     }
-    if (diff.type === 'added' || diff.type === 'changed') {
-      change.after = diff.type === 'changed' ? diff.newValue : diff.value;
+    if (diff.type === 'added' || isChange) {
+      change.after = isChange ? diff.newValue : diff.value;
     }
   }
 
@@ -283,7 +890,7 @@ function formatSideBySideChange(path, change, columnWidth) {
 }
 
 function formatSideBySideDocument(key, docA, docB, columnWidth) {
-  const keyLine = chalk.blue(`[${key}]`);
+  const keyLine = chalk.blue(`[${formatKey(key)}]`);
   
   const leftValue = docA ? formatCompactValue(docA) : '';
   const rightValue = docB ? formatCompactValue(docB) : '';
@@ -0,0 +1,147 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { filterFields } from './normalizer.mjs';
+
+const MAPPING_SECTIONS = ['rename', 'transform', 'drop'];
+
+// A mapping file describes how source A's documents translate into source B's
+// shape: `drop` lists field-path patterns to remove, `transform` converts values
+// (`multiply`/`add` for units, `map` for enums) and `rename` moves fields to new
+// paths. All three use A's field paths and are applied in that order.
+export async function loadMapping(mappingPath) {
+  const resolved = path.resolve(mappingPath);
+  let mapping;
+
+  try {
+    mapping = JSON.parse(await fs.readFile(resolved, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load mapping from ${resolved}: ${error.message}`);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Mapping file ${resolved} must contain an object with ${MAPPING_SECTIONS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(mapping).filter(section => !MAPPING_SECTIONS.includes(section));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown section "${unknown[0]}" in mapping ${resolved}. Use: ${MAPPING_SECTIONS.join(', ')}`);
+  }
+
+  const { rename = {}, transform = {}, drop = [] } = mapping;
+
+  if (!Array.isArray(drop) || drop.some(pattern => typeof pattern !== 'string')) {
+    throw new Error(`"drop" in mapping ${resolved} must be an array of field paths`);
+  }
+
+  for (const [from, to] of Object.entries(rename)) {
+    if (typeof to !== 'string' || !to) {
+      throw new Error(`Rename of "${from}" in mapping ${resolved} must name a field path`);
+    }
+  }
+
+  for (const [field, rule] of Object.entries(transform)) {
+    if (!isValidTransform(rule)) {
+      throw new Error(`Transform for "${field}" in mapping ${resolved} must be { "multiply"?: number, "add"?: number } or { "map": { ... } }`);
+    }
+  }
+
+  return { rename, transform, drop };
+}
+
+// Returns a copy of a normalized document in B's shape. Fields starting with
+// `_` (`_id`, `_metadata`, `_path`) are left alone.
+export function applyMapping(document, mapping) {
+  if (!mapping || !document) {
+    return document;
+  }
+
+  const mapped = filterFields(document, { ignoreFields: mapping.drop.length > 0 ? mapping.drop : undefined });
+
+  for (const [field, rule] of Object.entries(mapping.transform)) {
+    const value = getField(mapped, field);
+    if (value !== undefined) {
+      setField(mapped, field, transformValue(value, rule));
+    }
+  }
+
+  const moved = [];
+  for (const [from, to] of Object.entries(mapping.rename)) {
+    const value = getField(mapped, from);
+    if (value !== undefined) {
+      deleteField(mapped, from);
+      moved.push([to, value]);
+    }
+  }
+
+  // Renames are written after all removals so swapping two fields works.
+  for (const [to, value] of moved) {
+    setField(mapped, to, value);
+  }
+
+  return mapped;
+}
+
+function isValidTransform(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return false;
+  }
+
+  if ('map' in rule) {
+    return Object.keys(rule).length === 1 && rule.map !== null && typeof rule.map === 'object';
+  }
+
+  const keys = Object.keys(rule);
+  return keys.length > 0 && keys.every(key => ['multiply', 'add'].includes(key) && typeof rule[key] === 'number');
+}
+
+// Values a transform cannot convert (e.g. a string under `multiply`, or an
+// enum value missing from `map`) are kept, so they still show up as differences.
+function transformValue(value, rule) {
+  if (rule.map) {
+    const mapKey = typeof value === 'object' ? undefined : String(value);
+    return mapKey !== undefined && Object.hasOwn(rule.map, mapKey) ? rule.map[mapKey] : value;
+  }
+
+  if (typeof value !== 'number') {
+    return value;
+  }
+
+  return value * (rule.multiply ?? 1) + (rule.add ?? 0);
+}
+
+function getField(obj, fieldPath) {
+  return fieldPath.split('.').reduce((current, key) => (
+    current && typeof current === 'object' && !Array.isArray(current) ? current[key] : undefined
+  ), obj);
+}
+
+function setField(obj, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let current = obj;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!current[key] || typeof current[key] !== 'object' || Array.isArray(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+
+  current[keys[keys.length - 1]] = value;
+}
+
+// Maps emptied by a rename are removed too, since B would not have them.
+function deleteField(obj, fieldPath) {
+  const keys = fieldPath.split('.');
+  const parents = [obj];
+
+  for (const key of keys.slice(0, -1)) {
+    parents.push(parents[parents.length - 1][key]);
+  }
+
+  delete parents[parents.length - 1][keys[keys.length - 1]];
+
+  for (let i = parents.length - 1; i > 0; i--) {
+    if (Object.keys(parents[i]).length > 0) break;
+    delete parents[i - 1][keys[i - 1]];
+  }
+}
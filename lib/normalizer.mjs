@@ -1,6 +1,7 @@
 import { Timestamp, GeoPoint, DocumentReference } from '@google-cloud/firestore';
+import { matchAnyPath, matchPathPrefix } from './path-matcher.mjs';
 
-export function normalizeValue(value, options = {}) {
+export function normalizeValue(value, options = {}, path = '') {
   if (value === null || value === undefined) {
     return null;
   }
@@ -47,22 +48,30 @@ export function normalizeValue(value, options = {}) {
   }
 
   if (Array.isArray(value)) {
-    return value.map(item => normalizeValue(item, options));
+    return value.map((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      return normalizeValue(item, narrowOptions(options, itemPath), itemPath);
+    });
   }
 
   if (typeof value === 'object' && value !== null) {
     const normalized = {};
     
     for (const [key, val] of Object.entries(value)) {
-      if (options.ignoreFields && options.ignoreFields.includes(key)) {
+      const fieldPath = path ? `${path}.${key}` : key;
+      const selection = selectField(fieldPath, options);
+
+      if (selection === 'none') {
         continue;
       }
-      
-      if (options.fields && !options.fields.includes(key)) {
+
+      const child = normalizeValue(val, narrowOptions(options, fieldPath), fieldPath);
+
+      if (selection === 'partial' && !hasSelectedContent(child)) {
         continue;
       }
       
-      normalized[key] = normalizeValue(val, options);
+      normalized[key] = child;
     }
     
     return sortObject(normalized);
@@ -84,6 +93,10 @@ export function normalizeDocument(doc, options = {}) {
     }
   };
 
+  if (options.includePath && doc.path) {
+    normalized._path = doc.path;
+  }
+
   if (doc.data) {
     const normalizedData = normalizeValue(doc.data, options);
     Object.assign(normalized, normalizedData);
@@ -155,13 +168,16 @@ function getNestedValue(obj, path) {
   return current;
 }
 
-export function filterFields(data, options = {}) {
+export function filterFields(data, options = {}, path = '') {
   if (!data || typeof data !== 'object') {
     return data;
   }
 
   if (Array.isArray(data)) {
-    return data.map(item => filterFields(item, options));
+    return data.map((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      return filterFields(item, narrowOptions(options, itemPath), itemPath);
+    });
   }
 
   const filtered = {};
@@ -172,16 +188,51 @@ export function filterFields(data, options = {}) {
       continue;
     }
 
-    if (options.ignoreFields && options.ignoreFields.includes(key)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const selection = selectField(fieldPath, options);
+
+    if (selection === 'none') {
       continue;
     }
 
-    if (options.fields && !options.fields.includes(key)) {
+    const child = filterFields(value, narrowOptions(options, fieldPath), fieldPath);
+
+    if (selection === 'partial' && !hasSelectedContent(child)) {
       continue;
     }
 
-    filtered[key] = filterFields(value, options);
+    filtered[key] = child;
   }
 
   return filtered;
+}
+
+// Field and ignore patterns are matched against full paths such as
+// `audit.updatedAt` or `items[2].price`. A field is `partial` when it is not
+// selected itself but a `fields` pattern may select something inside it.
+function selectField(path, options) {
+  if (options.ignoreFields && matchAnyPath(options.ignoreFields, path)) {
+    return 'none';
+  }
+
+  if (!options.fields || matchAnyPath(options.fields, path)) {
+    return 'all';
+  }
+
+  return options.fields.some(pattern => matchPathPrefix(pattern, path)) ? 'partial' : 'none';
+}
+
+// Once a field is selected, everything below it is kept except ignored fields.
+function narrowOptions(options, path) {
+  if (options.fields && matchAnyPath(options.fields, path)) {
+    return { ...options, fields: undefined };
+  }
+  return options;
+}
+
+function hasSelectedContent(value) {
+  if (Array.isArray(value)) {
+    return true;
+  }
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
 }
\ No newline at end of file
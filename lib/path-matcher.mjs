@@ -0,0 +1,114 @@
+const compiledPatterns = new Map();
+
+export function parsePath(path) {
+  const segments = [];
+  let current = '';
+  let i = 0;
+
+  while (i < path.length) {
+    const char = path[i];
+
+    if (char === '.') {
+      if (current) segments.push(current);
+      current = '';
+      i++;
+    } else if (char === '[') {
+      if (current) segments.push(current);
+      current = '';
+      const end = path.indexOf(']', i);
+      const stop = end === -1 ? path.length : end + 1;
+      segments.push(path.slice(i, stop));
+      i = stop;
+    } else {
+      current += char;
+      i++;
+    }
+  }
+
+  if (current) segments.push(current);
+  return segments;
+}
+
+// Orders parsed paths segment by segment, array indexes numerically, with a
+// path before the paths nested under it.
+export function comparePaths(segmentsA, segmentsB) {
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    if (segmentsA[i] === segmentsB[i]) continue;
+
+    const indexA = /^\[\d+\]$/.test(segmentsA[i]);
+    const indexB = /^\[\d+\]$/.test(segmentsB[i]);
+    if (indexA && indexB) {
+      return Number(segmentsA[i].slice(1, -1)) - Number(segmentsB[i].slice(1, -1));
+    }
+    return segmentsA[i] < segmentsB[i] ? -1 : 1;
+  }
+
+  return segmentsA.length - segmentsB.length;
+}
+
+export function matchPath(pattern, path) {
+  return matchSegments(compilePattern(pattern), parsePath(path), 0, 0, false);
+}
+
+// True when some path below `path` could still match `pattern`, i.e. when a
+// field filter has to descend into `path` to find what it selects.
+export function matchPathPrefix(pattern, path) {
+  return matchSegments(compilePattern(pattern), parsePath(path), 0, 0, true);
+}
+
+export function matchAnyPath(patterns, path) {
+  return patterns.some(pattern => matchPath(pattern, path));
+}
+
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    compiledPatterns.set(pattern, parsePath(pattern).map(compileToken));
+  }
+  return compiledPatterns.get(pattern);
+}
+
+function compileToken(token) {
+  if (token === '**' || token === '*' || token === '[*]' || !token.includes('*')) {
+    return token;
+  }
+
+  const escaped = token.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function matchSegments(tokens, segments, t, s, prefix) {
+  while (t < tokens.length) {
+    const token = tokens[t];
+
+    if (prefix && s >= segments.length) {
+      return true;
+    }
+
+    if (token === '**') {
+      for (let k = s; k <= segments.length; k++) {
+        if (matchSegments(tokens, segments, t + 1, k, prefix)) return true;
+      }
+      return false;
+    }
+
+    if (s >= segments.length || !matchSegment(token, segments[s])) {
+      return false;
+    }
+
+    t++;
+    s++;
+  }
+
+  return !prefix && s === segments.length;
+}
+
+function matchSegment(token, segment) {
+  if (token === '*') return !isSelector(segment);
+  if (token === '[*]') return isSelector(segment);
+  if (token instanceof RegExp) return token.test(segment);
+  return token === segment;
+}
+
+function isSelector(segment) {
+  return segment.startsWith('[');
+}
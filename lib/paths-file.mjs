@@ -0,0 +1,61 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const PAIR_SEPARATOR = /\s*(?:->|→)\s*/;
+
+// Reads the document list for `--paths-file`. See `parsePathList` for the format.
+export async function loadPathsFile(filePath, options = {}) {
+  const resolved = path.resolve(filePath);
+  let content;
+
+  try {
+    content = await fs.readFile(resolved, 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read paths file ${resolved}: ${error.message}`);
+  }
+
+  return parsePathList(content, { ...options, source: resolved });
+}
+
+// One document per line: a path compared at the same path on both sides, a bare
+// ID resolved against `collectionA`/`collectionB`, or `pathA -> pathB`. Blank
+// lines and lines starting with `#` are skipped, as are repeated entries.
+export function parsePathList(content, options = {}) {
+  const { collectionA, collectionB = collectionA, source = 'paths file' } = options;
+  const pairs = new Map();
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const parts = line.split(PAIR_SEPARATOR);
+    if (parts.length > 2 || parts.some(part => !part)) {
+      throw new Error(`Line ${index + 1} of ${source}: expected a path, an ID or "pathA -> pathB", got "${line}"`);
+    }
+
+    const resolve = (value, collection) => {
+      if (value.includes('/')) {
+        if (value.split('/').length % 2 !== 0) {
+          throw new Error(`Line ${index + 1} of ${source}: "${value}" is not a document path`);
+        }
+        return value;
+      }
+      if (!collection) {
+        throw new Error(`Line ${index + 1} of ${source}: "${value}" is a bare ID; pass --collectionA to resolve it`);
+      }
+      return `${collection}/${value}`;
+    };
+
+    const pathA = resolve(parts[0], collectionA);
+    const pathB = resolve(parts[1] ?? parts[0], collectionB);
+    const key = pathA === pathB ? pathA : `${pathA} → ${pathB}`;
+
+    if (!pairs.has(key)) {
+      pairs.set(key, { key, pathA, pathB });
+    }
+  });
+
+  return [...pairs.values()];
+}
@@ -0,0 +1,33 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Loads normalized data written by `--output-dir`. A directory resolves to its
+// most recent `sourceA-*.json` dump; pass a file to use another one.
+export async function loadSnapshot(snapshotPath) {
+  let filePath = path.resolve(snapshotPath);
+  let stats;
+
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    throw new Error(`Snapshot not found at ${filePath}: ${error.message}`);
+  }
+
+  if (stats.isDirectory()) {
+    const dumps = (await fs.readdir(filePath))
+      .filter(name => /^sourceA-.*\.json$/.test(name))
+      .sort();
+
+    if (dumps.length === 0) {
+      throw new Error(`No sourceA-*.json snapshot found in ${filePath}`);
+    }
+
+    filePath = path.join(filePath, dumps[dumps.length - 1]);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid snapshot file at ${filePath}: ${error.message}`);
+  }
+}
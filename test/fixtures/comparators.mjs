@@ -0,0 +1,3 @@
+export default {
+  '**.email': (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+};
@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { TempDirectory } from '../helpers/test-utils.mjs';
+import { loadCheckpoint, saveCheckpoint, removeCheckpoint, getComparison } from '../../lib/checkpoint.mjs';
+
+describe('Checkpoint', () => {
+  const comparison = { collectionA: 'orders', collectionB: 'orders', key: 'id', limit: undefined };
+  let tempDir;
+  let statePath;
+
+  beforeEach(async () => {
+    tempDir = new TempDirectory();
+    statePath = path.join(await tempDir.create(), 'state.json');
+  });
+
+  afterEach(async () => {
+    await tempDir.cleanup();
+  });
+
+  describe('loadCheckpoint', () => {
+    it('should return undefined when there is no state to resume', async () => {
+      assert.strictEqual(await loadCheckpoint(statePath, comparison), undefined);
+    });
+
+    it('should load saved state for the same comparison', async () => {
+      const state = { comparison, summary: { added: 1 }, a: { startAfter: ['o2'] }, b: { startAfter: ['o3'] } };
+
+      await saveCheckpoint(statePath, state);
+
+      assert.deepStrictEqual(await loadCheckpoint(statePath, comparison), JSON.parse(JSON.stringify(state)));
+      assert.deepStrictEqual(await fs.readdir(tempDir.path), ['state.json']);
+    });
+
+    it('should reject state saved for a different comparison', async () => {
+      await saveCheckpoint(statePath, { comparison, summary: {} });
+
+      await assert.rejects(
+        loadCheckpoint(statePath, { ...comparison, key: 'orderNo' }),
+        /belongs to a different comparison/
+      );
+    });
+
+    it('should reject a malformed state file', async () => {
+      await fs.writeFile(statePath, '{ not json');
+
+      await assert.rejects(loadCheckpoint(statePath, comparison), /Invalid resume state file/);
+    });
+  });
+
+  describe('getComparison', () => {
+    it('should tell apart comparisons with different field selection, tolerances or mapping', async () => {
+      const options = { collectionA: 'orders', collectionB: 'orders', key: 'id', pageSize: 500, stream: true };
+      await saveCheckpoint(statePath, { comparison: getComparison(options), summary: {} });
+      
+      for (const change of [
+        { fields: ['total'] },
+        { ignoreFields: ['updatedAt'] },
+        { numTolerance: 0.01 },
+        { comparators: [{ pattern: 'total', compare: () => true }] },
+        { mapping: { rename: { total: 'amount' }, transform: {}, drop: [] } }
+      ]) {
+        await assert.rejects(loadCheckpoint(statePath, getComparison({ ...options, ...change })), /belongs to a different comparison/);
+      }
+      
+      assert.ok(await loadCheckpoint(statePath, getComparison({ ...options, pageSize: 100 })));
+    });
+  });
+
+  describe('removeCheckpoint', () => {
+    it('should remove saved state and ignore a missing file', async () => {
+      await saveCheckpoint(statePath, { comparison });
+
+      await removeCheckpoint(statePath);
+      await removeCheckpoint(statePath);
+
+      assert.strictEqual(await loadCheckpoint(statePath, comparison), undefined);
+    });
+  });
+});
@@ -0,0 +1,837 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { compareDocuments, compareDocumentList, compareDocumentPattern, compareQueries, compareDatabases, streamQueryDiff, createThreeWayDiff, hasThreeWayChanges } from '../../lib/comparator.mjs';
+
+// In-memory stand-in for FirestoreClient keyed by document path; a document's
+// subcollections are the collection paths directly beneath it, and root
+// collections are listed when no document path is given.
+function createFakeClient(documents) {
+  const toResult = path => ({ id: path.split('/').pop(), path, data: documents[path], metadata: {} });
+  const childrenOf = parent => Object.keys(documents).filter(path => parent
+    ? path.startsWith(`${parent}/`) && path.slice(parent.length + 1).split('/').length === 2
+    : path.split('/').length === 2
+  );
+
+  // Only structured `{ field, operator, value }` filters are applied.
+  const matchesFilter = (doc, { field, operator, value }) => {
+    const actual = field === '__name__' ? doc.id : doc.data[field];
+    return operator === 'in' ? value.includes(actual) : actual === value;
+  };
+
+  const runQuery = (collection, filters = [], options = {}) => {
+    const grouped = collection.startsWith('group:');
+    let results = Object.keys(documents)
+      .filter(path => grouped
+        ? path.split('/').at(-2) === collection.slice('group:'.length)
+        : path.startsWith(`${collection}/`) && !path.slice(collection.length + 1).includes('/'))
+      .map(toResult)
+      .filter(doc => filters.every(filter => typeof filter === 'string' || matchesFilter(doc, filter)));
+
+    if (options.orderBy) {
+      const fieldKey = (doc, field) => field === '__name__' ? (grouped ? doc.path : doc.id) : doc.data[field];
+      const sortKey = doc => Array.isArray(options.orderBy)
+        ? options.orderBy.map(field => fieldKey(doc, field))
+        : fieldKey(doc, options.orderBy);
+      const compare = (a, b) => {
+        if (Array.isArray(a)) return a.map((value, i) => compare(value, b[i])).find(order => order !== 0) ?? 0;
+        return a < b ? -1 : a > b ? 1 : 0;
+      };
+      results = results
+        .filter(doc => [].concat(sortKey(doc)).every(value => value !== undefined))
+        .filter(doc => options.startAt === undefined || compare(sortKey(doc), options.startAt) >= 0)
+        .filter(doc => options.startAfter === undefined || compare(sortKey(doc), options.startAfter) > 0)
+        .filter(doc => options.endBefore === undefined || compare(sortKey(doc), options.endBefore) < 0)
+        .sort((a, b) => compare(sortKey(a), sortKey(b)));
+      results.sortKey = sortKey;
+    }
+
+    return results;
+  };
+
+  const client = {
+    reads: 0,
+    getDocument: async path => (documents[path] ? toResult(path) : null),
+    getDocuments: async paths => paths.map(path => (documents[path] ? toResult(path) : null)),
+    listCollections: async path => [...new Set(childrenOf(path).map(child => child.split('/').at(-2)))].sort(),
+    listDocumentIds: async collection => [...new Set(Object.keys(documents)
+      .filter(path => path.startsWith(`${collection}/`))
+      .map(path => path.slice(collection.length + 1).split('/')[0]))].sort(),
+    queryCollection: async (collection, filters, options = {}) => {
+      // Paged reads order by `__name__` last and carry each document's cursor.
+      if (options.pageSize) {
+        const orderBy = [].concat(options.orderBy || []);
+        if (!orderBy.includes('__name__')) orderBy.push('__name__');
+        options = { ...options, orderBy };
+      }
+
+      const matched = runQuery(collection, filters, options);
+      let results = matched.slice(0, options.limit);
+      if (options.pageSize) {
+        results = results.map(doc => ({ ...doc, cursor: matched.sortKey(doc) }));
+      }
+      client.reads += results.length;
+
+      if (!options.stream) {
+        return results;
+      }
+
+      return (async function* () {
+        yield* results;
+      })();
+    },
+    aggregateRange: async (collection, filters, options = {}) => {
+      const results = runQuery(collection, filters, options);
+      return {
+        count: results.length,
+        sums: (options.sumFields || []).map(field => results.reduce((sum, doc) => sum + (doc.data[field] || 0), 0))
+      };
+    },
+    findFirstKey: async (collection, filters, options) => {
+      const results = runQuery(collection, filters, options);
+      const doc = options.descending ? results.at(-1) : results[0];
+      if (!doc) return undefined;
+      client.reads++;
+      return results.sortKey(doc);
+    }
+  };
+
+  return client;
+}
+
+describe('Comparator', () => {
+  describe('compareDocuments with recursive', () => {
+    const clientA = createFakeClient({
+      'users/u1': { name: 'Ann' },
+      'users/u1/orders/o1': { total: 10 },
+      'users/u1/orders/o2': { total: 5 },
+      'users/u1/orders/o1/items/i1': { qty: 1 },
+      'users/u1/devices/d1': { os: 'ios' }
+    });
+    const clientB = createFakeClient({
+      'users/u1': { name: 'Ann' },
+      'users/u1/orders/o1': { total: 12 },
+      'users/u1/orders/o1/items/i1': { qty: 2 },
+      'users/u1/carts/c1': { items: 0 }
+    });
+
+    it('should compare subcollections as keyed query diffs', async () => {
+      const result = await compareDocuments(clientA, clientB, 'users/u1', 'users/u1', { recursive: true });
+      
+      assert.strictEqual(result.diff.length, 0);
+      assert.strictEqual(result.hasDifferences, true);
+      assert.deepStrictEqual(result.collections.map(c => c.name), ['carts', 'devices', 'orders']);
+      
+      const orders = result.collections[2];
+      assert.deepStrictEqual(orders.diff.removed.map(item => item.key), ['o2']);
+      assert.deepStrictEqual(orders.diff.changed.map(item => item.key), ['o1']);
+      assert.strictEqual(orders.documents[0].key, 'o1');
+      assert.strictEqual(orders.documents[0].collections[0].name, 'items');
+      assert.strictEqual(orders.documents[0].collections[0].diff.changed[0].diff[0].path, 'qty');
+    });
+
+    it('should report collections that exist on one side only', async () => {
+      const result = await compareDocuments(clientA, clientB, 'users/u1', 'users/u1', { recursive: true });
+      
+      assert.deepStrictEqual(result.collections[0], { name: 'carts', onlyIn: 'B' });
+      assert.deepStrictEqual(result.collections[1], { name: 'devices', onlyIn: 'A' });
+    });
+
+    it('should stop descending at the requested depth', async () => {
+      const result = await compareDocuments(clientA, clientB, 'users/u1', 'users/u1', { recursive: true, depth: 1 });
+      
+      assert.deepStrictEqual(result.collections[2].documents, []);
+    });
+
+    it('should return no collections when the trees match', async () => {
+      const result = await compareDocuments(clientA, clientA, 'users/u1', 'users/u1', { recursive: true });
+      
+      assert.deepStrictEqual(result.collections, []);
+      assert.strictEqual(result.hasDifferences, false);
+    });
+  });
+
+  describe('compareQueries keyed by document path', () => {
+    const clientA = createFakeClient({
+      'products/p1/reviews/r1': { stars: 5 },
+      'products/p2/reviews/r1': { stars: 3 },
+      'products/p2/reviews/r2': { stars: 1 }
+    });
+    const clientB = createFakeClient({
+      'catalog/p1/reviews/r1': { stars: 5 },
+      'catalog/p2/reviews/r1': { stars: 4 },
+      'catalog/p3/reviews/r1': { stars: 2 }
+    });
+
+    it('should key collection group results by full document path', async () => {
+      const result = await compareQueries(clientA, clientA, {
+        collectionA: 'group:reviews',
+        collectionB: 'group:reviews',
+        key: '__name__'
+      });
+      
+      assert.strictEqual(result.hasDifferences, false);
+      assert.strictEqual(result.normalizedA[0]._path, 'products/p1/reviews/r1');
+    });
+
+    it('should line up documents under different parents with a path template', async () => {
+      const result = await compareQueries(clientA, clientB, {
+        collectionA: 'group:reviews',
+        collectionB: 'group:reviews',
+        key: '*/{product}/reviews/{review}'
+      });
+      
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['p2/r2']);
+      assert.deepStrictEqual(result.diff.added.map(item => item.key), ['p3/r1']);
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['p2/r1']);
+      assert.deepStrictEqual(result.diff.changed[0].diff.map(entry => entry.path), ['stars']);
+    });
+
+    it('should reject documents that do not match the path template', async () => {
+      await assert.rejects(
+        compareQueries(clientA, clientB, {
+          collectionA: 'group:reviews',
+          collectionB: 'group:reviews',
+          key: 'products/{product}/reviews/{review}'
+        }),
+        /Document catalog\/p1\/reviews\/r1 does not match key template/
+      );
+    });
+  });
+
+  describe('compareQueries with a composite key', () => {
+    const clientA = createFakeClient({
+      'lines/x1': { orderId: 'o1', lineNo: 2, qty: 1 },
+      'lines/x2': { orderId: 'o1', lineNo: 10, qty: 1 },
+      'lines/x3': { orderId: 'o2', lineNo: 1, qty: 5 }
+    });
+    const clientB = createFakeClient({
+      'lines/x1': { orderId: 'o1', lineNo: 2, qty: 1 },
+      'lines/x2': { orderId: 'o1', lineNo: 10, qty: 3 },
+      'lines/x4': { orderId: 'o2', lineNo: 2, qty: 5 }
+    });
+    const options = { collectionA: 'lines', collectionB: 'lines', key: 'orderId,lineNo' };
+
+    it('should match documents on every key component', async () => {
+      const result = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), [['o1', 10]]);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), [['o2', 1]]);
+      assert.deepStrictEqual(result.diff.added.map(item => item.key), [['o2', 2]]);
+    });
+
+    it('should merge-join on the composite order', async () => {
+      const entries = [];
+      for await (const entry of streamQueryDiff(clientA, clientB, options)) entries.push(entry);
+      
+      assert.deepStrictEqual(entries.map(entry => [entry.type, entry.key]), [
+        ['changed', ['o1', 10]],
+        ['removed', ['o2', 1]],
+        ['added', ['o2', 2]]
+      ]);
+    });
+  });
+
+  describe('compareDocumentList', () => {
+    const clientA = createFakeClient({
+      'users/u1': { plan: 'pro' },
+      'users/u2': { plan: 'free' },
+      'users/u3': { plan: 'free' }
+    });
+    const clientB = createFakeClient({
+      'users/u1': { plan: 'pro' },
+      'users/u2': { plan: 'pro' },
+      'users_v2/u3': { plan: 'free' },
+      'users/u4': { plan: 'free' }
+    });
+    const pairs = [
+      { key: 'users/u1', pathA: 'users/u1', pathB: 'users/u1' },
+      { key: 'users/u2', pathA: 'users/u2', pathB: 'users/u2' },
+      { key: 'users/u3', pathA: 'users/u3', pathB: 'users/u3' },
+      { key: 'users/u3 → users_v2/u3', pathA: 'users/u3', pathB: 'users_v2/u3' },
+      { key: 'users/u4', pathA: 'users/u4', pathB: 'users/u4' },
+      { key: 'users/u5', pathA: 'users/u5', pathB: 'users/u5' }
+    ];
+
+    it('should aggregate the pairs into a query diff', async () => {
+      const result = await compareDocumentList(clientA, clientB, pairs);
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['users/u2']);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['users/u3']);
+      assert.deepStrictEqual(result.diff.added.map(item => item.key), ['users/u4']);
+      assert.deepStrictEqual(result.missing, ['users/u5']);
+    });
+
+    it('should fetch each side with batched reads', async () => {
+      let calls = 0;
+      const spyA = { ...clientA, getDocuments: async paths => { calls++; return clientA.getDocuments(paths); } };
+      
+      await compareDocumentList(spyA, clientB, pairs);
+      
+      assert.strictEqual(calls, 1);
+    });
+  });
+
+  describe('compareDocumentPattern', () => {
+    const clientA = createFakeClient({
+      'users/u1/settings/preferences': { theme: 'dark' },
+      'users/u2/settings/preferences': { theme: 'light' },
+      'users/u3/settings/other': { theme: 'light' },
+      'users/u4/settings/preferences': { theme: 'dark' }
+    });
+    const clientB = createFakeClient({
+      'tenants/u1/prefs/preferences': { theme: 'dark' },
+      'tenants/u2/prefs/preferences': { theme: 'dark' },
+      'users/u1/settings/preferences': { theme: 'dark' },
+      'users/u2/settings/preferences': { theme: 'dark' }
+    });
+
+    it('should compare every match with its counterpart from the template', async () => {
+      const result = await compareDocumentPattern(clientA, clientB, 'users/*/settings/preferences', 'tenants/{1}/prefs/preferences');
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['users/u2/settings/preferences → tenants/u2/prefs/preferences']);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['users/u4/settings/preferences → tenants/u4/prefs/preferences']);
+      assert.strictEqual(result.diff.added.length, 0);
+      assert.ok(!('missing' in result));
+    });
+
+    it('should fill wildcards in the template with captures in order', async () => {
+      const result = await compareDocumentPattern(clientA, clientB, 'users/*/*/preferences', 'users/*/*/preferences');
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['users/u2/settings/preferences']);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['users/u4/settings/preferences']);
+    });
+
+    it('should reject template positions the pattern does not capture', async () => {
+      await assert.rejects(
+        compareDocumentPattern(clientA, clientB, 'users/*/settings/preferences', 'tenants/{2}/prefs/preferences'),
+        /uses \{2\} but the source pattern captures 1 segment/
+      );
+    });
+  });
+
+  describe('comparing with a mapping', () => {
+    const mapping = {
+      drop: ['legacySku'],
+      transform: { price: { multiply: 100 } },
+      rename: { name: 'title', price: 'pricing.amount' }
+    };
+    const clientA = createFakeClient({
+      'products/p1': { name: 'Lamp', price: 19, legacySku: 'L-1' },
+      'products/p2': { name: 'Desk', price: 250, legacySku: 'D-1' }
+    });
+    const clientB = createFakeClient({
+      'products_v2/p1': { title: 'Lamp', pricing: { amount: 1900 } },
+      'products_v2/p2': { title: 'Desk', pricing: { amount: 24900 } }
+    });
+
+    it('should map side A before diffing documents', async () => {
+      const result = await compareDocuments(clientA, clientB, 'products/p1', 'products_v2/p1', { mapping });
+      
+      assert.deepStrictEqual(result.diff, []);
+    });
+
+    it('should leave only real differences between queries', async () => {
+      const options = { collectionA: 'products', collectionB: 'products_v2', mapping };
+      
+      for (const mode of [{}, { stream: true }, { fast: true }]) {
+        const result = await compareQueries(clientA, clientB, { ...options, ...mode });
+        
+        assert.deepStrictEqual(result.diff.changed.map(item => [item.key, item.diff.map(entry => entry.path)]), [['p2', ['pricing.amount']]]);
+        assert.strictEqual(result.diff.added.length + result.diff.removed.length, 0);
+      }
+    });
+
+    it('should select fields by their mapped names', async () => {
+      const document = await compareDocuments(clientA, clientB, 'products/p1', 'products_v2/p1', { mapping, fields: ['title'] });
+      const list = await compareDocumentList(clientA, clientB, [{ pathA: 'products/p2', pathB: 'products_v2/p2' }], { mapping, fields: ['title'] });
+      
+      const ignored = await compareDocuments(clientA, clientB, 'products/p1', 'products_v2/p1', { mapping, ignoreFields: ['price'] });
+      
+      assert.deepStrictEqual(document.diff, []);
+      assert.deepStrictEqual(list.diff.changed, []);
+      assert.deepStrictEqual(ignored.diff, []);
+      
+      const options = { collectionA: 'products', collectionB: 'products_v2', mapping, fields: ['title', 'pricing'] };
+      
+      for (const mode of [{}, { stream: true }, { fast: true }]) {
+        const result = await compareQueries(clientA, clientB, { ...options, ...mode });
+        
+        assert.deepStrictEqual(result.diff.changed.map(item => [item.key, item.diff.map(entry => entry.path)]), [['p2', ['pricing.amount']]]);
+        assert.strictEqual(result.diff.added.length + result.diff.removed.length, 0);
+      }
+      
+      const sampled = await compareQueries(clientA, clientB, { ...options, sample: 1, seed: 1 });
+      
+      assert.deepStrictEqual(sampled.normalizedA.map(doc => doc.title), ['Lamp']);
+      assert.strictEqual(sampled.hasDifferences, false);
+    });
+  });
+
+  describe('compareQueries with duplicate and unkeyed documents', () => {
+    const clientA = createFakeClient({
+      'users/u1': { email: 'ann@example.com', plan: 'pro' },
+      'users/u2': { email: 'bob@example.com', plan: 'free' },
+      'users/u3': { email: 'ann@example.com', plan: 'free' },
+      'users/u4': { plan: 'free' }
+    });
+    const clientB = createFakeClient({
+      'users/u1': { email: 'ann@example.com', plan: 'pro' },
+      'users/u2': { email: 'bob@example.com', plan: 'free' }
+    });
+    const options = { collectionA: 'users', collectionB: 'users', key: 'email' };
+
+    it('should report documents sharing a key instead of overwriting them', async () => {
+      const result = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(result.diff.duplicates, { a: [{ key: 'ann@example.com', ids: ['u1', 'u3'] }], b: [] });
+      assert.strictEqual(result.diff.changed.length, 0);
+    });
+
+    it('should report documents without a key value', async () => {
+      const result = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(result.diff.unkeyed, { a: ['u4'], b: [] });
+      assert.strictEqual(result.diff.removed.length, 0);
+    });
+
+    it('should report duplicates found while streaming', async () => {
+      const entries = [];
+      for await (const entry of streamQueryDiff(clientA, clientB, options)) entries.push(entry);
+      
+      assert.deepStrictEqual(entries, [{ type: 'duplicates', side: 'a', key: 'ann@example.com', ids: ['u1', 'u3'] }]);
+    });
+
+    it('should report duplicates in fast mode', async () => {
+      const result = await compareQueries(clientA, clientB, { ...options, fast: true });
+      
+      assert.deepStrictEqual(result.diff.duplicates.a.map(duplicate => duplicate.ids), [['u1', 'u3']]);
+      assert.deepStrictEqual(result.diff.unkeyed.a, ['u4']);
+    });
+  });
+
+  describe('streamQueryDiff', () => {
+    const clientA = createFakeClient({
+      'orders/o1': { sku: 'A', qty: 1 },
+      'orders/o2': { sku: 'B', qty: 2 },
+      'orders/o4': { sku: 'D', qty: 4 }
+    });
+    const clientB = createFakeClient({
+      'orders/o1': { sku: 'A', qty: 1 },
+      'orders/o2': { sku: 'B', qty: 3 },
+      'orders/o3': { sku: 'C', qty: 3 }
+    });
+    const collect = async (iterable) => {
+      const entries = [];
+      for await (const entry of iterable) entries.push(entry);
+      return entries;
+    };
+
+    it('should merge-join both queries in key order', async () => {
+      const entries = await collect(streamQueryDiff(clientA, clientB, { collectionA: 'orders', collectionB: 'orders' }));
+      
+      assert.deepStrictEqual(entries.map(entry => [entry.type, entry.key]), [
+        ['changed', 'o2'],
+        ['added', 'o3'],
+        ['removed', 'o4']
+      ]);
+      assert.strictEqual(entries[0].diff[0].path, 'qty');
+    });
+
+    it('should order by a key field', async () => {
+      const entries = await collect(streamQueryDiff(clientA, clientB, { collectionA: 'orders', collectionB: 'orders', key: 'sku' }));
+      
+      assert.deepStrictEqual(entries.map(entry => [entry.type, entry.key]), [
+        ['changed', 'B'],
+        ['added', 'C'],
+        ['removed', 'D']
+      ]);
+    });
+
+    it('should not report keys beyond a side cut off by the limit', async () => {
+      const entries = await collect(streamQueryDiff(clientA, clientB, { collectionA: 'orders', collectionB: 'orders', limit: 2 }));
+      
+      assert.deepStrictEqual(entries.map(entry => [entry.type, entry.key]), [['changed', 'o2']]);
+    });
+
+    it('should reject streams that are not ordered by the key', async () => {
+      const unordered = {
+        queryCollection: async () => (async function* () {
+          yield { id: 'b', data: {} };
+          yield { id: 'a', data: {} };
+        })()
+      };
+      
+      await assert.rejects(
+        collect(streamQueryDiff(unordered, clientB, { collectionA: 'orders', collectionB: 'orders' })),
+        /not ordered by id: a follows b/
+      );
+    });
+
+    it('should give compareQueries the same diff as the in-memory comparison', async () => {
+      const options = { collectionA: 'orders', collectionB: 'orders' };
+      const streamed = await compareQueries(clientA, clientB, { ...options, stream: true });
+      const inMemory = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(streamed.diff, inMemory.diff);
+      assert.strictEqual(streamed.hasDifferences, true);
+    });
+  });
+
+  describe('streamQueryDiff with checkpoints', () => {
+    const documentsA = {};
+    const documentsB = {};
+    for (let i = 0; i < 10; i++) {
+      documentsA[`orders/o${i}`] = { status: i % 3 === 0 ? 'open' : 'closed', total: i };
+      if (i !== 4) documentsB[`orders/o${i}`] = { status: i % 3 === 0 ? 'open' : 'closed', total: i === 7 ? 70 : i };
+    }
+    documentsB['orders/o5b'] = { status: 'closed', total: 5 };
+    const clientA = createFakeClient(documentsA);
+    const clientB = createFakeClient(documentsB);
+    const options = { collectionA: 'orders', collectionB: 'orders', key: 'total', pageSize: 3, checkpoints: true };
+
+    const collect = async resume => {
+      const entries = [];
+      for await (const entry of streamQueryDiff(clientA, clientB, { ...options, resume })) entries.push(entry);
+      return entries;
+    };
+
+    it('should yield checkpoints as documents are read', async () => {
+      const entries = await collect();
+      
+      assert.ok(entries.filter(entry => entry.type === 'checkpoint').length >= 2);
+      assert.ok(entries.every(entry => entry.type !== 'checkpoint' || entry.a.startAfter.length === 2));
+      assert.ok(entries.some(entry => entry.type === 'duplicates' && entry.side === 'b'));
+    });
+
+    it('should continue from each checkpoint with the entries that followed it', async () => {
+      const entries = await collect();
+      const strip = list => list.filter(entry => entry.type !== 'checkpoint');
+      
+      for (const [index, entry] of entries.entries()) {
+        if (entry.type !== 'checkpoint') continue;
+        const resumed = await collect({ a: entry.a, b: entry.b });
+        assert.deepStrictEqual(strip(resumed), strip(entries.slice(index + 1)));
+      }
+    });
+
+    it('should require a page size', async () => {
+      await assert.rejects(
+        streamQueryDiff(clientA, clientB, { ...options, pageSize: undefined }).next(),
+        /requires a page size/
+      );
+    });
+  });
+
+  describe('compareQueries with fast', () => {
+    const clientA = createFakeClient({
+      'orders/o1': { qty: 1 },
+      'orders/o2': { qty: 2 },
+      'orders/o4': { qty: 4 }
+    });
+    const clientB = createFakeClient({
+      'orders/o1': { qty: 1 },
+      'orders/o2': { qty: 3 },
+      'orders/o3': { qty: 3 }
+    });
+
+    it('should diff only documents whose hashes differ', async () => {
+      const fetched = [];
+      const spyA = { ...clientA, getDocuments: async paths => { fetched.push(...paths); return clientA.getDocuments(paths); } };
+      
+      const result = await compareQueries(spyA, clientB, { collectionA: 'orders', collectionB: 'orders', fast: true });
+      
+      assert.strictEqual(result.checkedByHash, 1);
+      assert.deepStrictEqual(fetched.sort(), ['orders/o2', 'orders/o4']);
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['o2']);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['o4']);
+      assert.deepStrictEqual(result.diff.added.map(item => item.key), ['o3']);
+    });
+
+    it('should produce the same diff as a full comparison', async () => {
+      const options = { collectionA: 'orders', collectionB: 'orders', numTolerance: [{ pattern: 'qty', value: 1 }] };
+      const fast = await compareQueries(clientA, clientB, { ...options, fast: true });
+      const full = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(fast.diff, full.diff);
+      assert.strictEqual(fast.diff.changed.length, 0);
+    });
+
+    it('should take the same window of keys on both sides with a limit', async () => {
+      // Document IDs run opposite to the key, so ID order would take different SKUs
+      const clientC = createFakeClient({ 'items/a': { sku: 'S3' }, 'items/b': { sku: 'S2' }, 'items/c': { sku: 'S1' } });
+      const clientD = createFakeClient({ 'items/x': { sku: 'S1' }, 'items/y': { sku: 'S2' }, 'items/z': { sku: 'S3' } });
+      const options = { collectionA: 'items', collectionB: 'items', key: 'sku', limit: 2 };
+      
+      const fast = await compareQueries(clientC, clientD, { ...options, fast: true });
+      
+      assert.strictEqual(fast.diff.added.length, 0);
+      assert.strictEqual(fast.diff.removed.length, 0);
+      assert.deepStrictEqual(fast.diff.changed.map(entry => entry.key).sort(), ['S1', 'S2']);
+    });
+  });
+
+  describe('compareQueries with ranges', () => {
+    const createOrders = (count, overrides = {}) => {
+      const documents = {};
+      for (let i = 0; i < count; i++) {
+        const id = `o${String(i).padStart(3, '0')}`;
+        documents[`orders/${id}`] = { qty: i, ...overrides[id] };
+      }
+      return documents;
+    };
+
+    const clientA = createFakeClient(createOrders(400));
+    const documentsB = createOrders(400, { o123: { qty: 1000 } });
+    delete documentsB['orders/o350'];
+    const clientB = createFakeClient(documentsB);
+    const options = { collectionA: 'orders', collectionB: 'orders', ranges: true, rangeSize: 20, fingerprintFields: ['qty'] };
+
+    it('should find differences by recursing into mismatching ranges only', async () => {
+      const result = await compareQueries(clientA, clientB, options);
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['o123']);
+      assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['o350']);
+      assert.deepStrictEqual(result.diff.added, []);
+      assert.ok(clientA.reads <= 40, `read ${clientA.reads} documents`);
+    });
+
+    it('should report fingerprints per key range', async () => {
+      const { ranges } = await compareQueries(clientA, clientB, options);
+      const leaves = ranges.filter(range => range.differences);
+      
+      assert.strictEqual(ranges[0].depth, 0);
+      assert.strictEqual(ranges[0].matched, false);
+      assert.ok(ranges.some(range => range.matched && range.depth === 1));
+      assert.deepStrictEqual(leaves.map(range => range.differences), [
+        { added: 0, removed: 0, changed: 1 },
+        { added: 0, removed: 1, changed: 0 }
+      ]);
+      assert.ok(leaves.every(range => range.countA <= 20));
+    });
+
+    it('should match identical collections without reading documents', async () => {
+      const clientC = createFakeClient(createOrders(400));
+      const result = await compareQueries(clientA, clientC, options);
+      
+      assert.strictEqual(result.hasDifferences, false);
+      assert.strictEqual(result.ranges.length, 1);
+      assert.strictEqual(clientC.reads, 0);
+    });
+
+    it('should split skewed numeric keys without reading matching documents', async () => {
+      const createEvents = changed => {
+        const documents = { 'events/last': { seq: 1e12, version: 1 } };
+        for (let i = 0; i < 400; i++) {
+          documents[`events/e${i}`] = { seq: i, version: i === changed ? 2 : 1 };
+        }
+        return documents;
+      };
+      const clientC = createFakeClient(createEvents());
+      const clientD = createFakeClient(createEvents(7));
+      
+      const result = await compareQueries(clientC, clientD, { ...options, collectionA: 'events', collectionB: 'events', key: 'seq', fingerprintFields: ['version'] });
+      
+      assert.deepStrictEqual(result.diff.changed.map(item => item.key), [7]);
+      assert.ok(clientC.reads <= 22, `read ${clientC.reads} documents`);
+    });
+
+    describe('with equal counts but different content', () => {
+      const clientD = createFakeClient({
+        'orders/o1': { status: 'open', version: 1 },
+        'orders/o2': { status: 'open', version: 1 },
+        'orders/o3': { status: 'open', version: 1 }
+      });
+      const clientE = createFakeClient({
+        'orders/o1': { status: 'shipped', version: 2 },
+        'orders/o2': { status: 'open', version: 1 },
+        'orders/o4': { status: 'open', version: 1 }
+      });
+
+      it('should find the differences through a fingerprint field', async () => {
+        const result = await compareQueries(clientD, clientE, { ...options, fingerprintFields: ['version'] });
+        
+        assert.strictEqual(result.hasDifferences, true);
+        assert.strictEqual(result.ranges[0].matched, false);
+        assert.deepStrictEqual(result.diff.changed.map(item => item.key), ['o1']);
+        assert.deepStrictEqual(result.diff.removed.map(item => item.key), ['o3']);
+        assert.deepStrictEqual(result.diff.added.map(item => item.key), ['o4']);
+      });
+
+      it('should refuse to compare by document count alone', async () => {
+        await assert.rejects(
+          compareQueries(clientD, clientE, { ...options, fingerprintFields: [] }),
+          /needs fingerprint fields/
+        );
+        await assert.rejects(
+          compareQueries(clientD, clientE, { ...options, fingerprintFields: undefined }),
+          /needs fingerprint fields/
+        );
+      });
+    });
+  });
+
+  describe('compareQueries with sample', () => {
+    const createUsers = (count, omit = []) => {
+      const documents = {};
+      for (let i = 0; i < count; i++) {
+        const id = `${'ABCDEFGHIJKLMNOPQRSTUVWXYZ'[i % 26]}${'abcdefghijklmnopqrstuvwxyz'[Math.floor(i / 26)]}user`;
+        if (!omit.includes(id)) {
+          documents[`users/${id}`] = { region: i % 3 === 0 ? 'eu' : 'us', score: i };
+        }
+      }
+      return documents;
+    };
+
+    const clientA = createFakeClient(createUsers(200));
+    const clientB = createFakeClient(createUsers(200, ['Aauser', 'Bauser', 'Causer']));
+    const options = { collectionA: 'users', collectionB: 'users', sample: 20, seed: 42 };
+
+    it('should fetch sampled IDs from both sides', async () => {
+      const result = await compareQueries(clientA, clientB, options);
+      const sampledIds = result.normalizedA.map(doc => doc._id);
+      
+      assert.strictEqual(result.sample.size, 20);
+      assert.strictEqual(result.sample.seed, 42);
+      assert.strictEqual(new Set(sampledIds).size, 20);
+      assert.deepStrictEqual(
+        result.diff.removed.map(item => item.key),
+        ['Aauser', 'Bauser', 'Causer'].filter(id => sampledIds.includes(id))
+      );
+    });
+
+    it('should reproduce a sample from its seed', async () => {
+      const first = await compareQueries(clientA, clientB, options);
+      const second = await compareQueries(clientA, clientB, options);
+      const other = await compareQueries(clientA, clientB, { ...options, seed: 7 });
+      
+      assert.deepStrictEqual(first.normalizedA, second.normalizedA);
+      assert.notDeepStrictEqual(first.normalizedA, other.normalizedA);
+    });
+
+    it('should report a document missing from the probed side', async () => {
+      const result = await compareQueries(createFakeClient({}), clientB, options);
+      
+      assert.strictEqual(result.diff.added.length, 20);
+    });
+
+    it('should stratify the sample by a field', async () => {
+      const result = await compareQueries(clientA, clientB, { ...options, sampleBy: 'region' });
+      
+      assert.strictEqual(result.sample.by, 'region');
+      assert.deepStrictEqual(result.sample.strata, [{ value: 'eu', size: 10 }, { value: 'us', size: 10 }]);
+      assert.strictEqual(result.normalizedA.filter(doc => doc.region === 'eu').length, 10);
+    });
+
+    it('should reject keys other than the document ID', async () => {
+      await assert.rejects(compareQueries(clientA, clientB, { ...options, key: 'score' }), /cannot be combined with --key/);
+    });
+  });
+
+  describe('compareDatabases', () => {
+    const clientA = createFakeClient({
+      'users/u1': { name: 'Ann' },
+      'users/u2': { name: 'Bob' },
+      'orders/o1': { total: 10 },
+      'audit_2024/a1': { action: 'login' }
+    });
+    const clientB = createFakeClient({
+      'users/u1': { name: 'Anna' },
+      'orders/o1': { total: 10 },
+      'flags/f1': { enabled: true }
+    });
+
+    it('should compare every root collection present on either side', async () => {
+      const result = await compareDatabases(clientA, clientB);
+      const byName = Object.fromEntries(result.diff.collections.map(c => [c.name, c]));
+      
+      assert.deepStrictEqual(Object.keys(byName), ['audit_2024', 'flags', 'orders', 'users']);
+      assert.strictEqual(byName.audit_2024.onlyIn, 'A');
+      assert.strictEqual(byName.flags.onlyIn, 'B');
+      assert.strictEqual(byName.orders.hasDifferences, false);
+      assert.deepStrictEqual(byName.users.diff.removed.map(item => item.key), ['u2']);
+      assert.deepStrictEqual(byName.users.diff.changed.map(item => item.key), ['u1']);
+      assert.strictEqual(result.hasDifferences, true);
+    });
+
+    it('should keep normalized documents only when asked to', async () => {
+      const result = await compareDatabases(clientA, clientB);
+      const kept = await compareDatabases(clientA, clientB, { keepDocuments: true });
+      
+      assert.strictEqual(result.normalizedA, undefined);
+      assert.strictEqual(result.normalizedB, undefined);
+      assert.strictEqual(kept.normalizedA.users.length, 2);
+      assert.strictEqual(kept.normalizedB.users.length, 1);
+    });
+
+    it('should apply include and exclude collection patterns', async () => {
+      const included = await compareDatabases(clientA, clientB, { includeCollections: ['orders', 'users'] });
+      const excluded = await compareDatabases(clientA, clientB, { excludeCollections: ['audit_*', 'flags', 'users'] });
+      
+      assert.deepStrictEqual(included.diff.collections.map(c => c.name), ['orders', 'users']);
+      assert.deepStrictEqual(excluded.diff.collections.map(c => c.name), ['orders']);
+      assert.strictEqual(excluded.hasDifferences, false);
+    });
+  });
+
+  describe('createThreeWayDiff', () => {
+    const base = { name: 'Ann', plan: 'free', region: 'eu', seats: 1, profile: { city: 'Oslo' } };
+
+    it('should classify changes against a common base', () => {
+      const docA = { ...base, name: 'Anna', plan: 'pro', seats: 2 };
+      const docB = { ...base, region: 'us', plan: 'pro', seats: 3 };
+      
+      const threeWay = createThreeWayDiff(base, docA, docB);
+      
+      assert.deepStrictEqual(threeWay.changedInA.map(g => g.path), ['name']);
+      assert.deepStrictEqual(threeWay.changedInB.map(g => g.path), ['region']);
+      assert.deepStrictEqual(threeWay.changedInBoth.map(g => g.path), ['plan']);
+      assert.deepStrictEqual(threeWay.conflicts.map(g => g.path), ['seats']);
+      assert.strictEqual(threeWay.conflicts[0].a[0].newValue, 2);
+      assert.strictEqual(threeWay.conflicts[0].b[0].newValue, 3);
+    });
+
+    it('should treat a change below a path removed on the other side as a conflict', () => {
+      const docA = { ...base, profile: { city: 'Bergen' } };
+      const { profile, ...docB } = base;
+      
+      const threeWay = createThreeWayDiff(base, docA, docB);
+      
+      assert.ok(profile);
+      assert.deepStrictEqual(threeWay.conflicts.map(g => g.path), ['profile']);
+      assert.strictEqual(threeWay.conflicts[0].a[0].path, 'profile.city');
+      assert.strictEqual(threeWay.conflicts[0].b[0].type, 'removed');
+    });
+
+    it('should report no changes when neither side drifted', () => {
+      assert.strictEqual(hasThreeWayChanges(createThreeWayDiff(base, { ...base }, { ...base })), false);
+    });
+
+    it('should apply field filters to the base snapshot', () => {
+      const threeWay = createThreeWayDiff(
+        { ...base, updatedAt: 1 },
+        { ...base },
+        { ...base },
+        { ignoreFields: ['updatedAt'] }
+      );
+      
+      assert.strictEqual(hasThreeWayChanges(threeWay), false);
+    });
+
+    it('should classify query results per document key', () => {
+      const baseDocs = [{ _id: 'u1', plan: 'free' }, { _id: 'u2', plan: 'free' }];
+      const docsA = [{ _id: 'u1', plan: 'pro' }, { _id: 'u2', plan: 'free' }];
+      const docsB = [{ _id: 'u1', plan: 'team' }, { _id: 'u2', plan: 'free' }, { _id: 'u3', plan: 'free' }];
+      
+      const threeWay = createThreeWayDiff(baseDocs, docsA, docsB);
+      
+      assert.deepStrictEqual(threeWay.documents.map(d => d.key), ['u1', 'u3']);
+      assert.deepStrictEqual(threeWay.documents[0].conflicts.map(g => g.path), ['plan']);
+      assert.deepStrictEqual(threeWay.documents[1].changedInB.map(g => g.path), ['']);
+    });
+
+    it('should reject a base snapshot of the wrong shape', () => {
+      assert.throws(() => createThreeWayDiff([], {}, {}), /query results but a single document/);
+      assert.throws(() => createThreeWayDiff({}, [], []), /single document but query results/);
+    });
+  });
+});
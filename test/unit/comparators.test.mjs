@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadComparators } from '../../lib/comparators.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Comparators', () => {
+  describe('loadComparators', () => {
+    it('should load pattern and function pairs from a module', async () => {
+      const comparators = await loadComparators(path.join(__dirname, '../fixtures/comparators.mjs'));
+      
+      assert.strictEqual(comparators.length, 1);
+      assert.strictEqual(comparators[0].pattern, '**.email');
+      assert.strictEqual(comparators[0].compare('A@x.com', 'a@X.com'), true);
+    });
+
+    it('should load the example comparators module', async () => {
+      const comparators = await loadComparators(path.join(__dirname, '../../examples/comparators.mjs'));
+      
+      assert.deepStrictEqual(comparators.map(c => c.pattern), ['**.email', '**.phone', 'settingsJson']);
+    });
+
+    it('should reject a module that cannot be loaded', async () => {
+      await assert.rejects(
+        loadComparators(path.join(__dirname, '../fixtures/missing-comparators.mjs')),
+        /Failed to load comparators/
+      );
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { createDiff } from '../../lib/differ.mjs';
+import { createDiff, createDiffReport, getFirestoreType } from '../../lib/differ.mjs';
 
 describe('Differ', () => {
   describe('createDiff', () => {
@@ -75,7 +75,95 @@ describe('Differ', () => {
       const diff = createDiff(objA, objB);
       assert.strictEqual(diff.length, 1);
       assert.strictEqual(diff[0].type, 'changed');
-      assert.strictEqual(diff[0].path, 'tags');
+      assert.strictEqual(diff[0].path, 'tags[1]');
+      assert.strictEqual(diff[0].oldValue, 'tag2');
+      assert.strictEqual(diff[0].newValue, 'tag3');
+    });
+
+    it('should report a single insertion in a large array', () => {
+      const tags = Array.from({ length: 500 }, (_, i) => `tag${i}`);
+      const objA = { tags };
+      const objB = { tags: [...tags.slice(0, 250), 'inserted', ...tags.slice(250)] };
+      
+      const diff = createDiff(objA, objB);
+      assert.deepStrictEqual(diff, [
+        { type: 'added', path: 'tags[250]', value: 'inserted' }
+      ]);
+    });
+
+    it('should align array elements using the longest common subsequence', () => {
+      const objA = { tags: ['a', 'b', 'c', 'd'] };
+      const objB = { tags: ['b', 'c', 'x', 'd', 'e'] };
+      
+      const diff = createDiff(objA, objB);
+      assert.deepStrictEqual(diff, [
+        { type: 'removed', path: 'tags[0]', value: 'a' },
+        { type: 'added', path: 'tags[2]', value: 'x' },
+        { type: 'added', path: 'tags[4]', value: 'e' }
+      ]);
+    });
+
+    it('should diff changed array elements field by field', () => {
+      const objA = { items: [{ sku: 'A', price: 10 }, { sku: 'B', price: 20 }] };
+      const objB = { items: [{ sku: 'A', price: 10 }, { sku: 'B', price: 25 }] };
+      
+      const diff = createDiff(objA, objB);
+      assert.deepStrictEqual(diff, [
+        { type: 'changed', path: 'items[1].price', oldValue: 20, newValue: 25 }
+      ]);
+    });
+
+    it('should report removed array elements at their source index', () => {
+      const objA = { items: [1, 2, 3, 4] };
+      const objB = { items: [1, 4] };
+      
+      const diff = createDiff(objA, objB);
+      assert.deepStrictEqual(diff.map(d => [d.type, d.path]), [
+        ['removed', 'items[1]'],
+        ['removed', 'items[2]']
+      ]);
+    });
+
+    it('should match array elements by key when an array key is configured', () => {
+      const objA = {
+        lineItems: [
+          { sku: 'A1', qty: 1 },
+          { sku: 'B2', qty: 2 },
+          { sku: 'C3', qty: 3 }
+        ]
+      };
+      const objB = {
+        lineItems: [
+          { sku: 'C3', qty: 3 },
+          { sku: 'D4', qty: 4 },
+          { sku: 'A1', qty: 5 }
+        ]
+      };
+      
+      const diff = createDiff(objA, objB, { arrayKeys: { lineItems: 'sku' } });
+      assert.deepStrictEqual(diff, [
+        { type: 'removed', path: 'lineItems[sku=B2]', key: 'B2', value: { sku: 'B2', qty: 2 } },
+        { type: 'added', path: 'lineItems[sku=D4]', key: 'D4', value: { sku: 'D4', qty: 4 } },
+        { type: 'changed', path: 'lineItems[sku=A1].qty', oldValue: 1, newValue: 5 }
+      ]);
+    });
+
+    it('should apply array keys to arrays nested inside other arrays', () => {
+      const objA = { orders: [{ lineItems: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 2 }] }] };
+      const objB = { orders: [{ lineItems: [{ sku: 'B2', qty: 2 }, { sku: 'A1', qty: 1 }] }] };
+      
+      const diff = createDiff(objA, objB, { arrayKeys: { 'orders.lineItems': 'sku' } });
+      assert.strictEqual(diff.length, 0);
+    });
+
+    it('should fall back to positional diffing when keys are missing or repeated', () => {
+      const objA = { lineItems: [{ sku: 'A1', qty: 1 }, { qty: 2 }] };
+      const objB = { lineItems: [{ sku: 'A1', qty: 1 }, { qty: 3 }] };
+      
+      const diff = createDiff(objA, objB, { arrayKeys: { lineItems: 'sku' } });
+      assert.deepStrictEqual(diff, [
+        { type: 'changed', path: 'lineItems[1].qty', oldValue: 2, newValue: 3 }
+      ]);
     });
 
     it('should handle null and undefined values', () => {
@@ -134,7 +222,7 @@ describe('Differ', () => {
       assert.ok(paths.includes('user.name'));
       assert.ok(paths.includes('user.contacts.phone'));
       assert.ok(paths.includes('user.contacts.address'));
-      assert.ok(paths.includes('user.tags'));
+      assert.ok(paths.includes('user.tags[1]'));
     });
 
     it('should handle empty objects', () => {
@@ -167,6 +255,276 @@ describe('Differ', () => {
     });
   });
 
+  describe('type changes', () => {
+    it('should classify a string-to-number change as a type change', () => {
+      const diff = createDiff({ count: '5' }, { count: 5 });
+      
+      assert.deepStrictEqual(diff, [
+        { type: 'typeChanged', path: 'count', oldType: 'string', newType: 'integer', oldValue: '5', newValue: 5 }
+      ]);
+    });
+
+    it('should classify a map replaced by a Timestamp as a type change', () => {
+      const timestamp = { _type: 'Timestamp', seconds: 1, nanoseconds: 0, iso: '1970-01-01T00:00:01.000Z' };
+      const diff = createDiff({ createdAt: { seconds: 1 } }, { createdAt: timestamp });
+      
+      assert.strictEqual(diff[0].type, 'typeChanged');
+      assert.strictEqual(diff[0].oldType, 'map');
+      assert.strictEqual(diff[0].newType, 'Timestamp');
+    });
+
+    it('should keep same-type changes as changed', () => {
+      const diff = createDiff({ name: 'a', score: 1 }, { name: 'b', score: 1.5 });
+      assert.deepStrictEqual(diff.map(d => d.type), ['changed', 'changed']);
+    });
+
+    it('should map values to Firestore types', () => {
+      assert.strictEqual(getFirestoreType(null), 'null');
+      assert.strictEqual(getFirestoreType(3), 'integer');
+      assert.strictEqual(getFirestoreType(3.5), 'double');
+      assert.strictEqual(getFirestoreType([]), 'array');
+      assert.strictEqual(getFirestoreType({ _type: 'Date', iso: '', timestamp: 0 }), 'Timestamp');
+      assert.strictEqual(getFirestoreType({ _type: 'DocumentReference', path: 'a/b' }), 'reference');
+      assert.strictEqual(getFirestoreType({ _type: 'Bytes', base64: '' }), 'bytes');
+      assert.strictEqual(getFirestoreType({ _type: 'GeoPoint' }), 'GeoPoint');
+    });
+  });
+
+  describe('custom comparators', () => {
+    const caseInsensitive = { pattern: '**.email', compare: (a, b) => a.toLowerCase() === b.toLowerCase() };
+
+    it('should consult a matching comparator before deepEqual', () => {
+      const diff = createDiff(
+        { contact: { email: 'Ann@Example.com' }, name: 'Ann' },
+        { contact: { email: 'ann@example.com' }, name: 'ann' },
+        { comparators: [caseInsensitive] }
+      );
+      
+      assert.deepStrictEqual(diff.map(d => d.path), ['name']);
+    });
+
+    it('should report a change when a comparator returns false', () => {
+      const diff = createDiff({ email: 'a@x.com' }, { email: 'b@x.com' }, { comparators: [caseInsensitive] });
+      
+      assert.deepStrictEqual(diff, [{ type: 'changed', path: 'email', oldValue: 'a@x.com', newValue: 'b@x.com' }]);
+    });
+
+    it('should report numbers a comparator rejects as changed, not as a type change', () => {
+      const strict = { pattern: 'price', compare: (a, b) => a === b };
+      const diff = createDiff({ price: 5 }, { price: 5.5 }, { comparators: [strict] });
+      
+      assert.deepStrictEqual(diff, [{ type: 'changed', path: 'price', oldValue: 5, newValue: 5.5 }]);
+    });
+
+    it('should use diff entries returned by a comparator', () => {
+      const parsed = {
+        pattern: 'settings',
+        compare: (a, b, path) => [{ type: 'changed', path: `${path}.theme`, oldValue: JSON.parse(a).theme, newValue: JSON.parse(b).theme }]
+      };
+      
+      const diff = createDiff({ settings: '{"theme":"dark"}' }, { settings: '{"theme":"light"}' }, { comparators: [parsed] });
+      
+      assert.deepStrictEqual(diff, [{ type: 'changed', path: 'settings.theme', oldValue: 'dark', newValue: 'light' }]);
+    });
+
+    it('should report comparator errors with the offending path', () => {
+      const failing = { pattern: '**.payload', compare: (a, b) => JSON.parse(a) === JSON.parse(b) };
+      
+      assert.throws(
+        () => createDiff({ items: [{ payload: '{' }] }, { items: [{ payload: '}' }] }, { comparators: [failing] }),
+        /Comparator "\*\*\.payload" failed at items\[0\]\.payload/
+      );
+    });
+  });
+
+  describe('move detection', () => {
+    it('should report a value that moved to another path', () => {
+      const objA = { profile: { phone: '+1 555 0100', name: 'Ann' }, contact: {} };
+      const objB = { profile: { name: 'Ann' }, contact: { phone: '+1 555 0100' } };
+      
+      const diff = createDiff(objA, objB);
+      assert.deepStrictEqual(diff, [
+        {
+          type: 'moved',
+          path: 'contact.phone',
+          fromPath: 'profile.phone',
+          toPath: 'contact.phone',
+          value: '+1 555 0100'
+        }
+      ]);
+    });
+
+    it('should detect moved subtrees', () => {
+      const address = { city: 'Oslo', zip: '0150' };
+      const diff = createDiff({ address, shipping: {} }, { shipping: { address: { ...address } } });
+      
+      assert.strictEqual(diff.length, 1);
+      assert.strictEqual(diff[0].type, 'moved');
+      assert.strictEqual(diff[0].fromPath, 'address');
+      assert.strictEqual(diff[0].toPath, 'shipping.address');
+    });
+
+    it('should keep removals and additions of different values separate', () => {
+      const diff = createDiff({ old: 1 }, { new: 2 });
+      assert.deepStrictEqual(diff.map(d => d.type).sort(), ['added', 'removed']);
+    });
+
+    it('should only pair scalars that keep their field name', () => {
+      const diff = createDiff(
+        { active: true, count: 0, note: '', tags: ['a', 'b'] },
+        { verified: true, total: 0, comment: '', tags: ['b', 'a'] }
+      );
+      
+      assert.ok(diff.every(d => d.type !== 'moved'));
+      assert.deepStrictEqual(diff.filter(d => d.path.startsWith('tags')).map(d => [d.type, d.path]), [
+        ['removed', 'tags[0]'],
+        ['added', 'tags[1]']
+      ]);
+    });
+
+    it('should pair maps and arrays at any path', () => {
+      const diff = createDiff({ tags: ['a', 'b'], items: [{ sku: 'A' }, { sku: 'B' }] }, { labels: ['a', 'b'], items: [{ sku: 'B' }, { sku: 'A' }] });
+      
+      assert.deepStrictEqual(diff.map(d => [d.type, d.fromPath, d.toPath]), [
+        ['moved', 'tags', 'labels'],
+        ['moved', 'items[0]', 'items[1]']
+      ]);
+    });
+
+    it('should detect a value moved into a map that is new in B', () => {
+      const objA = { profile: { phone: '+1 555 0100', name: 'Ann' } };
+      const objB = { profile: { name: 'Ann' }, contact: { phone: '+1 555 0100', fax: '+1 555 0101' } };
+      
+      assert.deepStrictEqual(createDiff(objA, objB), [
+        { type: 'moved', path: 'contact.phone', fromPath: 'profile.phone', toPath: 'contact.phone', value: '+1 555 0100' },
+        { type: 'added', path: 'contact', value: { fax: '+1 555 0101' } }
+      ]);
+    });
+
+    it('should detect values moved into an array that is new in B', () => {
+      const diff = createDiff({ home: { city: 'Oslo' }, work: { city: 'Rome' } }, { addresses: [{ city: 'Rome' }, { city: 'Lima' }, { city: 'Oslo' }] });
+      
+      assert.deepStrictEqual(diff, [
+        { type: 'moved', path: 'addresses[2]', fromPath: 'home', toPath: 'addresses[2]', value: { city: 'Oslo' } },
+        { type: 'moved', path: 'addresses[0]', fromPath: 'work', toPath: 'addresses[0]', value: { city: 'Rome' } },
+        { type: 'added', path: 'addresses', value: [{ city: 'Lima' }] }
+      ]);
+    });
+
+    it('should not report a move to the same path', () => {
+      const diff = createDiff({ items: [{ n: 'a' }, { n: 'b' }, { n: 'c' }] }, { items: [{ n: 'c' }, { n: 'b' }, { n: 'a' }] });
+      
+      assert.ok(diff.every(d => d.type !== 'moved' || d.fromPath !== d.toPath));
+    });
+
+    it('should only pair empty maps and arrays that keep their field name', () => {
+      const diff = createDiff({ tags: [], meta: {} }, { labels: [], extra: {} });
+      
+      assert.deepStrictEqual(diff.map(d => d.type).sort(), ['added', 'added', 'removed', 'removed']);
+    });
+
+    it('should not detect moves when disabled', () => {
+      const diff = createDiff({ profile: { phone: 'x' } }, { contact: { phone: 'x' } }, { detectMoves: false });
+      assert.deepStrictEqual(diff.map(d => d.type).sort(), ['added', 'removed']);
+    });
+  });
+
+  describe('numeric tolerance', () => {
+    it('should suppress differences within an absolute tolerance', () => {
+      const objA = { total: 0.30000000000000004 };
+      const objB = { total: 0.3 };
+      
+      const report = createDiffReport(objA, objB, {
+        numTolerance: [{ pattern: '**', value: 1e-9 }]
+      });
+      
+      assert.strictEqual(report.differences.length, 0);
+      assert.strictEqual(report.suppressed.length, 1);
+      assert.strictEqual(report.suppressed[0].path, 'total');
+      assert.strictEqual(report.suppressed[0].tolerance.absolute, 1e-9);
+    });
+
+    it('should record the applied tolerance on differences that are kept', () => {
+      const diff = createDiff({ price: 10 }, { price: 10.5 }, {
+        numTolerance: [{ pattern: 'price', value: 0.1 }]
+      });
+      
+      assert.strictEqual(diff.length, 1);
+      assert.deepStrictEqual(diff[0].tolerance, { delta: 0.5, absolute: 0.1 });
+    });
+
+    it('should apply relative tolerance against the larger magnitude', () => {
+      const options = { numRelTolerance: [{ pattern: '**', value: 0.01 }] };
+      
+      assert.strictEqual(createDiff({ amount: 1000 }, { amount: 1009 }, options).length, 0);
+      assert.strictEqual(createDiff({ amount: 1000 }, { amount: 1011 }, options).length, 1);
+    });
+
+    it('should let later path-specific rules override earlier ones', () => {
+      const options = {
+        numTolerance: [
+          { pattern: '**', value: 0 },
+          { pattern: 'items[*].price', value: 0.01 }
+        ]
+      };
+      
+      const diff = createDiff(
+        { items: [{ price: 1.001, qty: 1 }] },
+        { items: [{ price: 1.002, qty: 1.001 }] },
+        options
+      );
+      
+      assert.deepStrictEqual(diff.map(d => d.path), ['items[0].qty']);
+    });
+  });
+
+  describe('time and distance tolerance', () => {
+    const timestamp = (seconds, nanoseconds = 0) => ({ _type: 'Timestamp', seconds, nanoseconds });
+
+    it('should treat timestamps within the time tolerance as equal', () => {
+      const report = createDiffReport(
+        { updatedAt: timestamp(1000, 0) },
+        { updatedAt: timestamp(1001, 500000000) },
+        { timeTolerance: 2000 }
+      );
+      
+      assert.strictEqual(report.differences.length, 0);
+      assert.strictEqual(report.suppressed[0].tolerance.delta, 1500);
+    });
+
+    it('should compare Timestamp and Date values by instant', () => {
+      const diff = createDiff(
+        { at: timestamp(1000, 0) },
+        { at: { _type: 'Date', iso: '1970-01-01T00:16:40.005Z', timestamp: 1000005 } },
+        { timeTolerance: 10 }
+      );
+      
+      assert.strictEqual(diff.length, 0);
+    });
+
+    it('should report the measured delta when outside the time tolerance', () => {
+      const diff = createDiff(
+        { updatedAt: timestamp(1000) },
+        { updatedAt: timestamp(1005) },
+        { timeTolerance: 2000 }
+      );
+      
+      assert.strictEqual(diff.length, 1);
+      assert.deepStrictEqual(diff[0].tolerance, { delta: 5000, unit: 'ms', time: 2000 });
+    });
+
+    it('should treat GeoPoints within the distance tolerance as equal', () => {
+      const pointA = { _type: 'GeoPoint', latitude: 37.7749, longitude: -122.4194 };
+      const pointB = { _type: 'GeoPoint', latitude: 37.77492, longitude: -122.4194 };
+      
+      assert.strictEqual(createDiff({ location: pointA }, { location: pointB }, { geoTolerance: 5 }).length, 0);
+      
+      const diff = createDiff({ location: pointA }, { location: pointB }, { geoTolerance: 1 });
+      assert.strictEqual(diff.length, 1);
+      assert.ok(Math.abs(diff[0].tolerance.delta - 2.22) < 0.01);
+    });
+  });
+
   describe('Edge cases', () => {
     it('should handle very large objects efficiently', () => {
       const createLargeObject = (size) => {
@@ -1,6 +1,7 @@
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import sinon from 'sinon';
+import { Firestore, FieldPath } from '@google-cloud/firestore';
 import { FirestoreClient } from '../../lib/firestore-client.mjs';
 import { promises as fs } from 'fs';
 
@@ -49,6 +50,40 @@ describe('FirestoreClient', () => {
     });
   });
 
+  describe('getSettings', () => {
+    it('should connect to an emulator without credentials', async () => {
+      const client = new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost:8080' });
+      
+      const settings = await client.getSettings();
+      
+      assert.deepStrictEqual(settings, { projectId: 'demo-test', host: 'localhost:8080', ssl: false });
+      assert.ok(fsStub.notCalled);
+    });
+
+    it('should reject an emulator address without a port', async () => {
+      const client = new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost' });
+      
+      await assert.rejects(client.getSettings(), /Invalid emulator address "localhost"/);
+    });
+
+    it('should reject a service account for an emulator', async () => {
+      const client = new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost:8080', serviceAccountPath: 'sa.json' });
+      
+      await assert.rejects(client.getSettings(), /service account cannot be used with the Firestore emulator/);
+    });
+
+    it('should refuse to let FIRESTORE_EMULATOR_HOST redirect another connection', async () => {
+      sinon.stub(process, 'env').value({ FIRESTORE_EMULATOR_HOST: 'localhost:8080' });
+      
+      await assert.rejects(new FirestoreClient({ projectId: 'my-prod' }).getSettings(), /FIRESTORE_EMULATOR_HOST=localhost:8080 would send project my-prod/);
+      await assert.rejects(new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost:9090' }).getSettings(), /FIRESTORE_EMULATOR_HOST/);
+      
+      const settings = await new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost:8080' }).getSettings();
+      
+      assert.strictEqual(settings.host, 'localhost:8080');
+    });
+  });
+
   describe('validateServiceAccount', () => {
     it('should validate existing service account file', async () => {
       const client = new FirestoreClient({ projectId: 'test' });
@@ -132,6 +167,78 @@ describe('FirestoreClient', () => {
     });
   });
 
+  describe('getDocuments', () => {
+    it('should fetch documents in batches and keep missing ones as null', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const paths = Array.from({ length: 150 }, (_, i) => `users/u${i}`);
+      mockFirestore.doc.callsFake(path => ({ path }));
+      mockFirestore.getAll = sinon.stub().callsFake(async (...refs) => refs.map(ref => ({
+        exists: ref.path !== 'users/u3',
+        id: ref.path.split('/')[1],
+        ref,
+        data: () => ({ name: ref.path }),
+        createTime: new Date(),
+        updateTime: new Date()
+      })));
+      
+      const results = await client.getDocuments(paths);
+      
+      assert.ok(mockFirestore.getAll.calledTwice);
+      assert.strictEqual(results.length, 150);
+      assert.strictEqual(results[3], null);
+      assert.strictEqual(results[149].path, 'users/u149');
+    });
+  });
+
+  describe('listCollections', () => {
+    it('should list subcollection IDs under a document in sorted order', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockDocRef = {
+        listCollections: sinon.stub().resolves([{ id: 'orders' }, { id: 'devices' }])
+      };
+      
+      mockFirestore.doc.returns(mockDocRef);
+      
+      const result = await client.listCollections('users/doc-123');
+      
+      assert.ok(mockFirestore.doc.calledWith('users/doc-123'));
+      assert.deepStrictEqual(result, ['devices', 'orders']);
+    });
+
+    it('should list root collections when no document path is given', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      mockFirestore.listCollections.resolves([{ id: 'users' }, { id: 'orders' }]);
+      
+      const result = await client.listCollections();
+      
+      assert.ok(mockFirestore.doc.notCalled);
+      assert.deepStrictEqual(result, ['orders', 'users']);
+    });
+  });
+
+  describe('listDocumentIds', () => {
+    it('should list document IDs in a collection in sorted order', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockCollection = {
+        listDocuments: sinon.stub().resolves([{ id: 'u2' }, { id: 'u1' }])
+      };
+      
+      mockFirestore.collection.returns(mockCollection);
+      
+      const result = await client.listDocumentIds('users');
+      
+      assert.ok(mockFirestore.collection.calledWith('users'));
+      assert.deepStrictEqual(result, ['u1', 'u2']);
+    });
+  });
+
   describe('parseFilter', () => {
     it('should parse equality filter', () => {
       const client = new FirestoreClient({ projectId: 'test' });
@@ -259,12 +366,14 @@ describe('FirestoreClient', () => {
       const mockDocs = [
         {
           id: 'doc1',
+          ref: { path: 'users/doc1' },
           data: () => ({ name: 'John' }),
           createTime: new Date(),
           updateTime: new Date()
         },
         {
           id: 'doc2',
+          ref: { path: 'users/doc2' },
           data: () => ({ name: 'Jane' }),
           createTime: new Date(),
           updateTime: new Date()
@@ -286,9 +395,175 @@ describe('FirestoreClient', () => {
       assert.strictEqual(results[1].id, 'doc2');
       assert.deepStrictEqual(results[0].data, { name: 'John' });
       assert.deepStrictEqual(results[1].data, { name: 'Jane' });
+      assert.strictEqual(results[0].path, 'users/doc1');
+    });
+
+    it('should order by document ID for __name__', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockQuery = {
+        orderBy: sinon.stub().returnsThis(),
+        get: sinon.stub().resolves({ forEach: () => {} })
+      };
+      
+      mockFirestore.collection.returns(mockQuery);
+      
+      await client.queryCollection('users', [], { orderBy: '__name__' });
+      
+      assert.ok(mockQuery.orderBy.firstCall.args[0].isEqual(FieldPath.documentId()));
+    });
+
+    it('should accept structured filters on the document ID', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockQuery = {
+        where: sinon.stub().returnsThis(),
+        get: sinon.stub().resolves({ forEach: () => {} })
+      };
+      
+      mockFirestore.collection.returns(mockQuery);
+      
+      await client.queryCollection('users', ['active==true', { field: '__name__', operator: 'in', value: ['u1', 'u2'] }]);
+      
+      assert.ok(mockQuery.where.firstCall.calledWith('active', '==', true));
+      assert.ok(mockQuery.where.secondCall.args[0].isEqual(FieldPath.documentId()));
+      assert.deepStrictEqual(mockQuery.where.secondCall.args.slice(1), ['in', ['u1', 'u2']]);
+    });
+
+    it('should run a collection group query for a group: path', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockDocs = [
+        {
+          id: 'r1',
+          ref: { path: 'products/p1/reviews/r1' },
+          data: () => ({ stars: 5 }),
+          createTime: new Date(),
+          updateTime: new Date()
+        }
+      ];
+      
+      mockFirestore.collectionGroup = sinon.stub().returns({
+        get: sinon.stub().resolves({
+          forEach: (callback) => mockDocs.forEach(callback)
+        })
+      });
+      
+      const results = await client.queryCollection('group:reviews');
+      
+      assert.ok(mockFirestore.collectionGroup.calledWith('reviews'));
+      assert.ok(mockFirestore.collection.notCalled);
+      assert.strictEqual(results[0].path, 'products/p1/reviews/r1');
+    });
+  });
+
+  describe('aggregateRange', () => {
+    it('should count and sum a key range with an aggregation query', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const aggregateQuery = { get: sinon.stub().resolves({ data: () => ({ count: 12, sum0: 340 }) }) };
+      const mockQuery = {
+        orderBy: sinon.stub().returnsThis(),
+        startAt: sinon.stub().returnsThis(),
+        endBefore: sinon.stub().returnsThis(),
+        aggregate: sinon.stub().returns(aggregateQuery)
+      };
+      
+      mockFirestore.collection.returns(mockQuery);
+      
+      const result = await client.aggregateRange('orders', [], { orderBy: 'orderNo', startAt: 100, endBefore: 200, sumFields: ['total'] });
+      
+      assert.ok(mockQuery.startAt.calledWith(100));
+      assert.ok(mockQuery.endBefore.calledWith(200));
+      assert.deepStrictEqual(Object.keys(mockQuery.aggregate.firstCall.args[0]), ['count', 'sum0']);
+      assert.deepStrictEqual(result, { count: 12, sums: [340] });
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('should order by every composite key component with tuple cursors', () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockQuery = {
+        orderBy: sinon.stub().returnsThis(),
+        startAt: sinon.stub().returnsThis()
+      };
+      
+      mockFirestore.collection.returns(mockQuery);
+      
+      client.buildQuery('lines', [], { orderBy: ['orderId', 'lineNo'], startAt: ['o1', 2] });
+      
+      assert.deepStrictEqual(mockQuery.orderBy.args, [['orderId'], ['lineNo']]);
+      assert.ok(mockQuery.startAt.calledWith('o1', 2));
+    });
+  });
+
+  describe('pageQuery', () => {
+    it('should read pages after the last document ordered by key and document ID', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+
+      const toDoc = (id, total) => ({
+        id,
+        ref: { path: `orders/${id}` },
+        get: field => (field === 'total' ? total : undefined),
+        data: () => ({ total }),
+        createTime: new Date(),
+        updateTime: new Date()
+      });
+
+      const mockQuery = {
+        orderBy: sinon.stub().returnsThis(),
+        startAfter: sinon.stub().returnsThis(),
+        limit: sinon.stub().returnsThis(),
+        get: sinon.stub()
+      };
+      mockQuery.get.onFirstCall().resolves({ size: 2, docs: [toDoc('o1', 10), toDoc('o2', 10)] });
+      mockQuery.get.onSecondCall().resolves({ size: 1, docs: [toDoc('o3', 20)] });
+
+      mockFirestore.collection.returns(mockQuery);
+
+      const results = [];
+      for await (const result of client.pageQuery('orders', [], { orderBy: 'total', pageSize: 2 })) {
+        results.push(result);
+      }
+
+      assert.deepStrictEqual(results.map(result => result.cursor), [[10, 'o1'], [10, 'o2'], [20, 'o3']]);
+      assert.deepStrictEqual(mockQuery.orderBy.args.slice(0, 2), [['total'], [FieldPath.documentId()]]);
+      assert.ok(mockQuery.startAfter.calledOnceWith(10, 'o2'));
+      assert.strictEqual(mockQuery.get.callCount, 2);
+    });
+  });
+
+  describe('findFirstKey', () => {
+    it('should return the key of the first or last document in the range', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      
+      const mockQuery = {
+        orderBy: sinon.stub().returnsThis(),
+        limit: sinon.stub().returnsThis(),
+        select: sinon.stub().returnsThis(),
+        get: sinon.stub().resolves({ empty: false, docs: [{ id: 'o5', get: () => 150 }] })
+      };
+      
+      mockFirestore.collection.returns(mockQuery);
+      
+      assert.strictEqual(await client.findFirstKey('orders', [], { orderBy: 'orderNo' }), 150);
+      assert.ok(mockQuery.limit.calledWith(1));
+      assert.ok(mockQuery.select.calledWith('orderNo'));
+      assert.strictEqual(await client.findFirstKey('orders', [], { orderBy: '__name__', descending: true }), 'o5');
+      assert.ok(mockQuery.orderBy.lastCall.args[0].isEqual(FieldPath.documentId()));
+      assert.strictEqual(mockQuery.orderBy.lastCall.args[1], 'desc');
     });
   });
 
+
   describe('streamQuery', () => {
     it('should return async generator for streaming', async () => {
       const client = new FirestoreClient({ projectId: 'test' });
@@ -298,12 +573,14 @@ describe('FirestoreClient', () => {
           [Symbol.asyncIterator]: async function* () {
             yield {
               id: 'doc1',
+              ref: { path: 'users/doc1' },
               data: () => ({ name: 'John' }),
               createTime: new Date(),
               updateTime: new Date()
             };
             yield {
               id: 'doc2',
+              ref: { path: 'users/doc2' },
               data: () => ({ name: 'Jane' }),
               createTime: new Date(),
               updateTime: new Date()
@@ -323,6 +600,122 @@ describe('FirestoreClient', () => {
       assert.strictEqual(results[0].id, 'doc1');
       assert.strictEqual(results[1].id, 'doc2');
     });
+
+    it('should resume after the last received document on a transient error', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      sinon.stub(client, 'getRetryDelay').returns(0);
+
+      const toDoc = id => ({ id, ref: { path: `users/${id}` }, data: () => ({ id }) });
+      const doc1 = toDoc('doc1');
+
+      const resumedQuery = {
+        stream: sinon.stub().returns((async function* () {
+          yield toDoc('doc2');
+        })())
+      };
+      resumedQuery.limit = sinon.stub().returns(resumedQuery);
+
+      const mockQuery = {
+        stream: sinon.stub().returns((async function* () {
+          yield doc1;
+          throw Object.assign(new Error('14 UNAVAILABLE'), { code: 14 });
+        })()),
+        startAfter: sinon.stub().returns(resumedQuery)
+      };
+
+      const results = [];
+      for await (const doc of client.streamQuery(mockQuery, { limit: 5 })) {
+        results.push(doc.id);
+      }
+
+      assert.deepStrictEqual(results, ['doc1', 'doc2']);
+      assert.ok(mockQuery.startAfter.calledOnceWith(doc1));
+      assert.ok(resumedQuery.limit.calledOnceWith(4));
+      assert.strictEqual(mockQuery.stream.callCount, 1);
+      assert.strictEqual(client.retries, 1);
+    });
+  });
+
+  describe('withRetry', () => {
+    const unavailable = () => Object.assign(new Error('14 UNAVAILABLE: connection reset'), { code: 14 });
+
+    it('should retry transient errors with backoff and count the retries', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      sinon.stub(client, 'getRetryDelay').returns(0);
+      const operation = sinon.stub();
+      operation.onFirstCall().rejects(unavailable());
+      operation.onSecondCall().rejects(Object.assign(new Error('4 DEADLINE_EXCEEDED'), { code: 4 }));
+      operation.onThirdCall().resolves('done');
+
+      assert.strictEqual(await client.withRetry(operation), 'done');
+      assert.strictEqual(client.retries, 2);
+      assert.deepStrictEqual(client.getRetryDelay.args, [[0], [1]]);
+    });
+
+    it('should not retry other errors', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      const error = Object.assign(new Error('7 PERMISSION_DENIED'), { code: 7 });
+
+      await assert.rejects(client.withRetry(sinon.stub().rejects(error)), error);
+      assert.strictEqual(client.retries, 0);
+    });
+
+    it('should give up after the maximum number of retries', async () => {
+      const client = new FirestoreClient({ projectId: 'test', maxRetries: 2 });
+      sinon.stub(client, 'getRetryDelay').returns(0);
+      const operation = sinon.stub().rejects(unavailable());
+
+      await assert.rejects(client.withRetry(operation), /Giving up after 2 retries: 14 UNAVAILABLE/);
+      assert.strictEqual(operation.callCount, 3);
+    });
+
+    it('should give up when the next retry would pass the retry timeout', async () => {
+      const client = new FirestoreClient({ projectId: 'test', retryTimeout: 1000 });
+      sinon.stub(client, 'getRetryDelay').returns(5000);
+
+      await assert.rejects(client.withRetry(sinon.stub().rejects(unavailable())), /^Error: 14 UNAVAILABLE/);
+      assert.strictEqual(client.retries, 0);
+    });
+
+    it('should retry the connection check on initialize', async () => {
+      const client = new FirestoreClient({ projectId: 'demo-test', emulatorHost: 'localhost:8080' });
+      sinon.stub(client, 'getRetryDelay').returns(0);
+      const listCollections = sinon.stub(Firestore.prototype, 'listCollections');
+      listCollections.onFirstCall().rejects(unavailable());
+      listCollections.onSecondCall().resolves([]);
+
+      await client.initialize();
+      
+      assert.strictEqual(listCollections.callCount, 2);
+      assert.strictEqual(client.retries, 1);
+      await client.close();
+    });
+
+    it('should retry reads such as getDocument', async () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      client.db = mockFirestore;
+      sinon.stub(client, 'getRetryDelay').returns(0);
+      const get = sinon.stub();
+      get.onFirstCall().rejects(Object.assign(new Error('8 RESOURCE_EXHAUSTED'), { code: 8 }));
+      get.onSecondCall().resolves({ exists: false });
+      mockFirestore.doc.returns({ get });
+
+      assert.strictEqual(await client.getDocument('users/missing'), null);
+      assert.strictEqual(client.retries, 1);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay per attempt with jitter, up to a maximum', () => {
+      const client = new FirestoreClient({ projectId: 'test' });
+      const random = sinon.stub(Math, 'random');
+
+      random.returns(0);
+      assert.deepStrictEqual([0, 1, 2].map(attempt => client.getRetryDelay(attempt)), [125, 250, 500]);
+
+      random.returns(1);
+      assert.deepStrictEqual([0, 1, 20].map(attempt => client.getRetryDelay(attempt)), [250, 500, 10000]);
+    });
   });
 
   describe('close', () => {
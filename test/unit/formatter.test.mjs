@@ -1,8 +1,382 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { formatDiff } from '../../lib/formatter.mjs';
+import { formatDiff, formatThreeWayDiff, formatDatabaseDiff, formatQueryDiffEntry, formatQueryDiffSummary, countTypeChanges, countKeyIssues } from '../../lib/formatter.mjs';
+import { createDiff } from '../../lib/differ.mjs';
 
 describe('Formatter', () => {
+  describe('hash-checked query results', () => {
+    const diff = { added: [], removed: [], changed: [] };
+
+    it('should report documents checked by hash alone', () => {
+      assert.ok(formatDiff(diff, 'pretty', { checkedByHash: 42 }).includes('42 matching documents checked by hash alone'));
+      assert.strictEqual(formatDiff(diff, 'json', { checkedByHash: 42 }).summary.checkedByHash, 42);
+    });
+
+    it('should omit the count for full comparisons', () => {
+      assert.ok(!('checkedByHash' in formatDiff(diff, 'json').summary));
+    });
+  });
+
+  describe('key range report', () => {
+    const diff = { added: [], removed: [{ key: 'o350', document: {} }], changed: [] };
+    const ranges = [
+      { startAt: undefined, endBefore: undefined, depth: 0, countA: 400, countB: 399, matched: false },
+      { startAt: undefined, endBefore: 'o100', depth: 1, countA: 100, countB: 100, matched: true },
+      { startAt: 'o300', endBefore: undefined, depth: 1, countA: 100, countB: 99, matched: false, differences: { added: 0, removed: 1, changed: 0 } }
+    ];
+
+    it('should list mismatching ranges in pretty mode', () => {
+      const formatted = formatDiff(diff, 'pretty', { ranges });
+      
+      assert.ok(formatted.includes('[* … *)'));
+      assert.ok(formatted.includes('["o300" … *)'));
+      assert.ok(!formatted.includes('"o100")'));
+      assert.ok(formatted.includes('1 of 3 ranges matched by fingerprint'));
+      assert.ok(formatted.includes('changes to fields outside the fingerprint are not found there'));
+    });
+
+    it('should include ranges in JSON output', () => {
+      assert.deepStrictEqual(formatDiff(diff, 'json', { ranges }).ranges, ranges);
+    });
+  });
+
+  describe('sampled query results', () => {
+    const diff = { added: [], removed: [], changed: [] };
+    const sample = { seed: 42, size: 20, by: 'region', strata: [{ value: 'eu', size: 10 }, { value: 'us', size: 10 }] };
+
+    it('should print the sample size and seed', () => {
+      const formatted = formatDiff(diff, 'pretty', { sample });
+      
+      assert.ok(formatted.includes('Sampled 20 documents (seed 42)'));
+      assert.ok(formatted.includes('region = "eu": 10'));
+    });
+
+    it('should include the sample in JSON output', () => {
+      assert.deepStrictEqual(formatDiff(diff, 'json', { sample }).sample, sample);
+    });
+  });
+
+  describe('composite keys', () => {
+    const diff = {
+      added: [{ key: ['o2', 2], document: { qty: 5 } }],
+      removed: [],
+      changed: [{ key: ['o1', 10], diff: [{ type: 'changed', path: 'qty', oldValue: 1, newValue: 3 }], documentA: { qty: 1 }, documentB: { qty: 3 } }]
+    };
+
+    it('should label composite keys readably', () => {
+      assert.ok(formatDiff(diff, 'pretty').includes('~ [(o1, 10)]'));
+      assert.ok(formatDiff(diff, 'side-by-side').includes('[(o2, 2)]'));
+    });
+
+    it('should keep composite keys as tuples in JSON output', () => {
+      assert.deepStrictEqual(formatDiff(diff, 'json').differences.added[0].key, ['o2', 2]);
+    });
+  });
+
+  describe('duplicate and unkeyed documents', () => {
+    const diff = {
+      added: [],
+      removed: [],
+      changed: [],
+      duplicates: { a: [{ key: 'ann@example.com', ids: ['u1', 'u3'] }], b: [] },
+      unkeyed: { a: [], b: ['u9'] }
+    };
+
+    it('should list document IDs per side in pretty output', () => {
+      const output = formatDiff(diff, 'pretty');
+      
+      assert.ok(output.includes('Duplicate keys (1)'));
+      assert.ok(output.includes('[ann@example.com] shared in A by: u1, u3'));
+      assert.ok(output.includes('No key in B: u9'));
+    });
+
+    it('should count them in the JSON summary', () => {
+      const formatted = formatDiff(diff, 'json');
+      
+      assert.strictEqual(formatted.summary.duplicates, 1);
+      assert.strictEqual(formatted.summary.unkeyed, 1);
+      assert.deepStrictEqual(formatted.differences.unkeyed, { a: [], b: ['u9'] });
+    });
+
+    it('should count them across database collections', () => {
+      assert.deepStrictEqual(countKeyIssues({ collections: [{ name: 'users', diff }, { name: 'logs', onlyIn: 'A' }] }), { duplicates: 1, unkeyed: 1 });
+    });
+  });
+
+  describe('document list results', () => {
+    const diff = { added: [], removed: [], changed: [] };
+
+    it('should list documents missing on both sides', () => {
+      assert.ok(formatDiff(diff, 'pretty', { missing: ['users/u5'] }).includes('1 document missing on both sides: users/u5'));
+      assert.deepStrictEqual(formatDiff(diff, 'json', { missing: ['users/u5'] }).missing, ['users/u5']);
+    });
+  });
+
+  describe('streamed query entries', () => {
+    it('should format each entry on its own', () => {
+      const changed = formatQueryDiffEntry({ type: 'changed', key: 'o2', diff: [{ type: 'changed', path: 'qty', oldValue: 2, newValue: 3 }] });
+      const removed = formatQueryDiffEntry({ type: 'removed', key: 'o4', document: { qty: 4 } });
+      
+      assert.ok(changed.includes('~ [o2]') && changed.includes('qty'));
+      assert.ok(removed.includes('- [o4]'));
+    });
+
+    it('should summarize streamed counts', () => {
+      assert.ok(formatQueryDiffSummary({ added: 1, removed: 2, changed: 3 }).includes('2 removed, 1 added, 3 changed'));
+      assert.ok(formatQueryDiffSummary({ added: 0, removed: 0, changed: 0 }).includes('Query results are identical'));
+    });
+  });
+
+  describe('subcollection tree', () => {
+    const collections = [
+      { name: 'devices', onlyIn: 'A' },
+      {
+        name: 'orders',
+        diff: {
+          added: [],
+          removed: [{ key: 'o2', document: { _id: 'o2' } }],
+          changed: [{ key: 'o1', diff: [{ type: 'changed', path: 'total', oldValue: 10, newValue: 12 }] }]
+        },
+        documents: [{ key: 'o1', collections: [{ name: 'items', onlyIn: 'B' }] }]
+      }
+    ];
+
+    it('should render subcollections as a tree in pretty mode', () => {
+      const formatted = formatDiff([], 'pretty', { collections });
+      
+      assert.ok(formatted.includes('├── '));
+      assert.ok(formatted.includes('devices/ (only in A)'));
+      assert.ok(formatted.includes('orders/ (0 added, 1 removed, 1 changed)'));
+      assert.ok(formatted.includes('- [o2]'));
+      assert.ok(formatted.includes('└── ') && formatted.includes('items/ (only in B)'));
+    });
+
+    it('should report identical subcollections', () => {
+      const formatted = formatDiff([], 'pretty', { collections: [] });
+      
+      assert.ok(formatted.includes('Subcollections are identical'));
+    });
+
+    it('should include subcollections in JSON output', () => {
+      const formatted = formatDiff([], 'json', { collections });
+      
+      assert.strictEqual(formatted.hasDifferences, true);
+      assert.deepStrictEqual(formatted.collections, collections);
+    });
+  });
+
+  describe('formatDatabaseDiff', () => {
+    const diff = {
+      collections: [
+        { name: 'flags', onlyIn: 'B' },
+        { name: 'orders', diff: { added: [], removed: [], changed: [] }, hasDifferences: false },
+        {
+          name: 'users',
+          diff: {
+            added: [{ key: 'u3', document: {} }],
+            removed: [],
+            changed: [{ key: 'u1', diff: [{ type: 'typeChanged', path: 'age', oldValue: '5', newValue: 5, oldType: 'string', newType: 'integer' }] }]
+          },
+          hasDifferences: true
+        }
+      ]
+    };
+
+    it('should render per-collection counts in pretty mode', () => {
+      const formatted = formatDatabaseDiff(diff, 'pretty');
+      
+      assert.ok(formatted.includes('Database differences found'));
+      assert.ok(formatted.includes('only in B'));
+      assert.match(formatted, /users\s+1\s+0\s+1/);
+      assert.match(formatted, /Total\s+1\s+0\s+1/);
+    });
+
+    it('should aggregate counts in JSON mode', () => {
+      const formatted = formatDatabaseDiff(diff, 'json');
+      
+      assert.strictEqual(formatted.type, 'database');
+      assert.strictEqual(formatted.hasDifferences, true);
+      assert.deepStrictEqual(formatted.summary, {
+        collections: 3,
+        changedCollections: 1,
+        onlyInA: 0,
+        onlyInB: 1,
+        added: 1,
+        removed: 0,
+        changed: 1,
+        typeChanges: 1
+      });
+      assert.deepStrictEqual(formatted.collections[2].summary, { added: 1, removed: 0, changed: 1 });
+    });
+
+    it('should report identical databases', () => {
+      const formatted = formatDatabaseDiff({ collections: [diff.collections[1]] }, 'pretty');
+      
+      assert.ok(formatted.includes('No differences across 1 collection'));
+    });
+  });
+
+  describe('formatThreeWayDiff', () => {
+    const threeWay = {
+      changedInA: [{ path: 'name', a: [{ type: 'changed', path: 'name', oldValue: 'Ann', newValue: 'Anna' }], b: [] }],
+      changedInB: [],
+      changedInBoth: [],
+      conflicts: [{
+        path: 'seats',
+        a: [{ type: 'changed', path: 'seats', oldValue: 1, newValue: 2 }],
+        b: [{ type: 'changed', path: 'seats', oldValue: 1, newValue: 3 }]
+      }]
+    };
+
+    it('should render each classification in pretty mode', () => {
+      const formatted = formatThreeWayDiff(threeWay, 'pretty');
+      
+      assert.ok(formatted.includes('Changed in A (1)'));
+      assert.ok(formatted.includes('Conflicts (1)'));
+      assert.ok(!formatted.includes('Changed in B'));
+    });
+
+    it('should summarize classifications in JSON mode', () => {
+      const formatted = formatThreeWayDiff(threeWay, 'json');
+      
+      assert.strictEqual(formatted.type, 'three-way-document');
+      assert.deepStrictEqual(formatted.summary, { changedInA: 1, changedInB: 0, changedInBoth: 0, conflicts: 1 });
+    });
+  });
+
+  describe('json-patch format', () => {
+    // Minimal RFC 6902 applier, enough to check that patches turn A into B. It
+    // throws where a conforming applier would reject the patch.
+    const applyPatch = (document, operations) => {
+      let root = structuredClone(document);
+      const locate = pointer => {
+        const tokens = pointer.split('/').slice(1).map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+        const last = tokens.pop();
+        let parent = root;
+        for (const token of tokens) {
+          assert.ok(parent !== null && typeof parent === 'object' && token in parent, `${pointer} does not exist`);
+          parent = parent[token];
+        }
+        return { parent, last };
+      };
+      const remove = pointer => {
+        const { parent, last } = locate(pointer);
+        assert.ok(last in parent && last !== 'length', `${pointer} does not exist`);
+        const value = parent[last];
+        if (Array.isArray(parent)) parent.splice(Number(last), 1); else delete parent[last];
+        return value;
+      };
+      const add = (pointer, value) => {
+        if (pointer === '') { root = value; return; }
+        const { parent, last } = locate(pointer);
+        if (Array.isArray(parent)) {
+          assert.ok(last === '-' || Number(last) <= parent.length, `${pointer} is past the end of the array`);
+          parent.splice(last === '-' ? parent.length : Number(last), 0, value);
+        } else {
+          parent[last] = value;
+        }
+      };
+      for (const operation of operations) {
+        if (operation.op === 'add') add(operation.path, operation.value);
+        if (operation.op === 'remove') remove(operation.path);
+        if (operation.op === 'replace') { const { parent, last } = locate(operation.path); assert.ok(last in parent); parent[last] = operation.value; }
+        if (operation.op === 'move') add(operation.path, remove(operation.from));
+      }
+      return root;
+    };
+
+    it('should emit add, remove and replace operations for a document diff', () => {
+      const differences = [
+        { type: 'added', path: 'profile.phone', value: '555' },
+        { type: 'removed', path: 'legacy', value: true },
+        { type: 'changed', path: 'name', oldValue: 'a', newValue: 'b' }
+      ];
+      
+      const patch = formatDiff(differences, 'json-patch', { documentA: { name: 'a', legacy: true, profile: {} } });
+      
+      assert.deepStrictEqual(patch, [
+        { op: 'replace', path: '/name', value: 'b' },
+        { op: 'remove', path: '/legacy' },
+        { op: 'add', path: '/profile/phone', value: '555' }
+      ]);
+    });
+
+    it('should emit move operations and escape pointer tokens', () => {
+      const differences = [
+        { type: 'moved', path: 'contact.a/b', fromPath: 'profile.x~y', toPath: 'contact.a/b', value: 1 }
+      ];
+      
+      assert.deepStrictEqual(formatDiff(differences, 'json-patch', { documentA: {} }), [
+        { op: 'move', from: '/profile/x~0y', path: '/contact/a~1b' }
+      ]);
+    });
+
+    it('should produce patches that transform A into B for array diffs', () => {
+      const docA = { tags: ['a', 'b', 'c', 'd'], items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }], keep: 1 };
+      const docB = { tags: ['b', 'c', 'x', 'd', 'e'], items: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 3 }], moved: { keep: 1 } };
+      
+      const patch = formatDiff(createDiff(docA, docB), 'json-patch', { documentA: docA });
+      
+      assert.deepStrictEqual(applyPatch(docA, patch), docB);
+    });
+
+    it('should turn array element moves into patches that transform A into B', () => {
+      const pairs = [
+        [{ tags: [{ n: 'a' }, { n: 'b' }, { n: 'c' }, { n: 'd' }] }, { tags: [{ n: 'c' }, { n: 'd' }, { n: 'a' }] }],
+        [{ tags: [{ n: 1 }, { n: 2 }, { n: 3 }] }, { tags: [{ n: 3 }, { n: 4 }, { n: 5 }, { n: 1 }] }],
+        [{ items: [{ sku: 'A' }, { sku: 'B' }, { sku: 'C' }] }, { items: [{ sku: 'C' }, { sku: 'A' }, { sku: 'B' }] }],
+        [{ profile: { address: { city: 'Oslo' } }, addresses: [] }, { profile: {}, addresses: [{ city: 'Oslo' }] }],
+        [{ addresses: [{ city: 'Oslo' }, { city: 'Rome' }] }, { addresses: [{ city: 'Rome' }], home: { city: 'Oslo' } }],
+        [{ profile: { phone: '555', name: 'Ann' } }, { profile: { name: 'Ann' }, contact: { phone: '555', fax: '556' } }],
+        [{ home: { city: 'Oslo' }, work: { city: 'Rome' }, lines: [{ n: 1 }] }, { addresses: [{ city: 'Rome' }, { city: 'Lima' }, { city: 'Oslo' }], lines: [] }]
+      ];
+      
+      for (const [docA, docB] of pairs) {
+        const differences = createDiff(docA, docB);
+        assert.deepStrictEqual(applyPatch(docA, formatDiff(differences, 'json-patch', { documentA: docA })), docB);
+      }
+    });
+
+    it('should patch inside array elements before elements around them shift', () => {
+      const docA = { lines: ['r1', 'x', { qty: 1, tags: ['p', 'q'] }] };
+      const docB = { lines: ['x', { qty: 1, note: 'n', tags: ['q', 'p', 'z'] }, 'y'] };
+      
+      const patch = formatDiff(createDiff(docA, docB), 'json-patch', { documentA: docA });
+      
+      assert.deepStrictEqual(applyPatch(docA, patch), docB);
+    });
+
+    it('should resolve keyed array elements to indexes in source A', () => {
+      const docA = { lineItems: [{ sku: 'A1', qty: 1 }, { sku: 'B2', qty: 2 }, { sku: 'C3', qty: 3 }] };
+      const docB = { lineItems: [{ sku: 'C3', qty: 4 }, { sku: 'D4', qty: 1 }, { sku: 'A1', qty: 1 }] };
+      
+      const differences = createDiff(docA, docB, { arrayKeys: { lineItems: 'sku' }, detectMoves: false });
+      const patched = applyPatch(docA, formatDiff(differences, 'json-patch', { documentA: docA }));
+      const bySku = items => [...items].sort((a, b) => a.sku.localeCompare(b.sku));
+      
+      assert.deepStrictEqual(bySku(patched.lineItems), bySku(docB.lineItems));
+    });
+
+    it('should emit one patch per document key in query mode', () => {
+      const queryDiff = {
+        added: [{ key: 'u2', document: { name: 'Jane' } }],
+        removed: [{ key: 'u1', document: { name: 'John' } }],
+        changed: [{
+          key: 'u3',
+          diff: [{ type: 'changed', path: 'name', oldValue: 'Bob', newValue: 'Robert' }],
+          documentA: { name: 'Bob' },
+          documentB: { name: 'Robert' }
+        }]
+      };
+      
+      assert.deepStrictEqual(formatDiff(queryDiff, 'json-patch'), {
+        u1: [{ op: 'remove', path: '' }],
+        u2: [{ op: 'add', path: '', value: { name: 'Jane' } }],
+        u3: [{ op: 'replace', path: '/name', value: 'Robert' }]
+      });
+    });
+  });
+
   describe('formatDiff', () => {
     it('should format document differences in pretty mode', () => {
       const differences = [
@@ -39,6 +413,23 @@ describe('Formatter', () => {
       assert.ok(formatted.includes('Changed'));
     });
 
+    it('should render positional array entries', () => {
+      const differences = [
+        { type: 'added', path: 'tags[3]', value: 'premium' },
+        { type: 'changed', path: 'items[1].price', oldValue: 20, newValue: 25 }
+      ];
+      
+      const pretty = formatDiff(differences, 'pretty');
+      const sideBySide = formatDiff(differences, 'side-by-side');
+      const json = formatDiff(differences, 'json');
+      
+      assert.ok(pretty.includes('tags[3]'));
+      assert.ok(pretty.includes('items[1].price'));
+      assert.ok(sideBySide.includes('[tags[3]]'));
+      assert.ok(sideBySide.includes('[items[1].price]'));
+      assert.strictEqual(json.differences[1].path, 'items[1].price');
+    });
+
     it('should format side-by-side differences', () => {
       const differences = [
         { type: 'changed', path: 'name', oldValue: 'John', newValue: 'Jane' }
@@ -64,6 +455,73 @@ describe('Formatter', () => {
       assert.ok(Array.isArray(formatted.differences));
     });
 
+    it('should render and count type changes', () => {
+      const typeChange = { type: 'typeChanged', path: 'count', oldType: 'string', newType: 'integer', oldValue: '5', newValue: 5 };
+      const queryDiff = {
+        added: [],
+        removed: [],
+        changed: [{ key: 'doc-1', diff: [typeChange], documentA: {}, documentB: {} }]
+      };
+      
+      const pretty = formatDiff([typeChange], 'pretty');
+      
+      assert.ok(pretty.includes('string → integer'));
+      assert.strictEqual(formatDiff([typeChange], 'json').summary.typeChanges, 1);
+      assert.strictEqual(formatDiff(queryDiff, 'json').summary.typeChanges, 1);
+      assert.strictEqual(countTypeChanges(queryDiff), 1);
+    });
+
+    it('should render moved fields as their own type', () => {
+      const differences = [
+        { type: 'moved', path: 'contact.phone', fromPath: 'profile.phone', toPath: 'contact.phone', value: '555-0100' }
+      ];
+      
+      const pretty = formatDiff(differences, 'pretty');
+      const sideBySide = formatDiff(differences, 'side-by-side');
+      const json = formatDiff(differences, 'json');
+      
+      assert.ok(pretty.includes('profile.phone'));
+      assert.ok(pretty.includes('→'));
+      assert.ok(pretty.includes('contact.phone'));
+      assert.ok(sideBySide.includes('profile.phone → contact.phone'));
+      assert.strictEqual(json.differences[0].type, 'moved');
+    });
+
+    it('should show the measured delta for differences outside a tolerance', () => {
+      const differences = [
+        {
+          type: 'changed',
+          path: 'updatedAt',
+          oldValue: { _type: 'Timestamp', iso: '2024-01-01T00:00:00.000Z' },
+          newValue: { _type: 'Timestamp', iso: '2024-01-01T00:00:03.500Z' },
+          tolerance: { delta: 3500, unit: 'ms', time: 2000 }
+        },
+        {
+          type: 'changed',
+          path: 'location',
+          oldValue: { _type: 'GeoPoint', latitude: 0, longitude: 0 },
+          newValue: { _type: 'GeoPoint', latitude: 0, longitude: 0.0001 },
+          tolerance: { delta: 11.12, unit: 'm', distance: 5 }
+        }
+      ];
+      
+      const formatted = formatDiff(differences, 'pretty');
+      
+      assert.ok(formatted.includes('Δ 3.5s'));
+      assert.ok(formatted.includes('Δ 11.1m'));
+    });
+
+    it('should include suppressed differences in JSON output', () => {
+      const suppressed = [
+        { type: 'changed', path: 'total', oldValue: 0.1, newValue: 0.1000001, tolerance: { delta: 1e-7, absolute: 1e-6 } }
+      ];
+      
+      const formatted = formatDiff([], 'json', { suppressed });
+      
+      assert.strictEqual(formatted.hasDifferences, false);
+      assert.deepStrictEqual(formatted.suppressed, suppressed);
+    });
+
     it('should indicate no differences when arrays are empty', () => {
       const formatted = formatDiff([], 'pretty');
       assert.ok(formatted.includes('identical'));
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadMapping, applyMapping } from '../../lib/mapping.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXAMPLE_MAPPING = path.join(__dirname, '../../examples/mapping.json');
+
+describe('Mapping', () => {
+  describe('loadMapping', () => {
+    it('should load the example mapping', async () => {
+      const mapping = await loadMapping(EXAMPLE_MAPPING);
+      
+      assert.deepStrictEqual(mapping.rename, { name: 'title', price: 'pricing.amount' });
+      assert.deepStrictEqual(mapping.drop, ['legacySku', 'audit']);
+    });
+
+    it('should reject unknown sections', async () => {
+      await assert.rejects(loadMapping(path.join(__dirname, '../fixtures/mapping-unknown-section.json')), /Unknown section "renames"/);
+    });
+
+    it('should reject transforms it cannot apply', async () => {
+      await assert.rejects(loadMapping(path.join(__dirname, '../fixtures/mapping-bad-transform.json')), /Transform for "price"/);
+    });
+
+    it('should reject a missing file', async () => {
+      await assert.rejects(loadMapping(path.join(__dirname, 'missing.json')), /Failed to load mapping/);
+    });
+  });
+
+  describe('applyMapping', () => {
+    it('should drop, transform and rename fields of a document', async () => {
+      const mapping = await loadMapping(EXAMPLE_MAPPING);
+      const document = {
+        _id: 'p1',
+        name: 'Lamp',
+        price: 19,
+        status: 'A',
+        legacySku: 'L-1',
+        audit: { by: 'etl' },
+        stock: 4
+      };
+      
+      assert.deepStrictEqual(applyMapping(document, mapping), {
+        _id: 'p1',
+        title: 'Lamp',
+        pricing: { amount: 1900 },
+        status: 'active',
+        stock: 4
+      });
+      assert.strictEqual(document.price, 19);
+    });
+
+    it('should keep values a transform cannot convert', () => {
+      const mapping = { rename: {}, drop: [], transform: { status: { map: { A: 'active' } }, weight: { multiply: 1000 } } };
+      
+      assert.deepStrictEqual(applyMapping({ status: 'X', weight: 'heavy' }, mapping), { status: 'X', weight: 'heavy' });
+    });
+
+    it('should remove maps emptied by a rename', () => {
+      const mapping = { rename: { 'dims.width': 'width' }, transform: {}, drop: [] };
+      
+      assert.deepStrictEqual(applyMapping({ dims: { width: 3 } }, mapping), { width: 3 });
+    });
+
+    it('should convert units with an offset', () => {
+      const mapping = { rename: {}, drop: [], transform: { temp: { multiply: 0.5, add: -16 } } };
+      
+      assert.deepStrictEqual(applyMapping({ temp: 212 }, mapping), { temp: 90 });
+    });
+  });
+});
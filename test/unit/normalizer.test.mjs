@@ -1,7 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { Timestamp, GeoPoint, DocumentReference } from '@google-cloud/firestore';
-import { normalizeValue, normalizeDocument, normalizeQueryResults } from '../../lib/normalizer.mjs';
+import { normalizeValue, normalizeDocument, normalizeQueryResults, filterFields } from '../../lib/normalizer.mjs';
 import { sampleDocuments, normalizedSampleData } from '../fixtures/sample-data.mjs';
 
 describe('Normalizer', () => {
@@ -75,6 +75,62 @@ describe('Normalizer', () => {
     });
   });
 
+  describe('field path patterns', () => {
+    const doc = {
+      updatedAt: 'top',
+      audit: { updatedAt: 'audit', updatedBy: 'ops', log: { etag: 'e1' } },
+      items: [
+        { sku: 'A', cachedPrice: 1, etag: 'e2' },
+        { sku: 'B', cachedPrice: 2 }
+      ],
+      etag: 'e0'
+    };
+
+    it('should only ignore bare field names at the top level', () => {
+      const normalized = normalizeValue(doc, { ignoreFields: ['updatedAt'] });
+      
+      assert.ok(!('updatedAt' in normalized));
+      assert.strictEqual(normalized.audit.updatedAt, 'audit');
+    });
+
+    it('should ignore nested paths and globs', () => {
+      const normalized = normalizeValue(doc, {
+        ignoreFields: ['audit.*', 'items[*].cachedPrice', '**.etag']
+      });
+      
+      assert.deepStrictEqual(normalized, {
+        audit: {},
+        items: [{ sku: 'A' }, { sku: 'B' }],
+        updatedAt: 'top'
+      });
+    });
+
+    it('should include nested paths selected by --fields', () => {
+      const normalized = normalizeValue(doc, { fields: ['audit.updatedAt', 'items[*].sku'] });
+      
+      assert.deepStrictEqual(normalized, {
+        audit: { updatedAt: 'audit' },
+        items: [{ sku: 'A' }, { sku: 'B' }]
+      });
+    });
+
+    it('should keep the whole subtree of a selected field', () => {
+      const normalized = normalizeValue(doc, { fields: ['audit'], ignoreFields: ['**.etag'] });
+      
+      assert.deepStrictEqual(normalized, {
+        audit: { log: {}, updatedAt: 'audit', updatedBy: 'ops' }
+      });
+    });
+
+    it('should apply the same patterns in filterFields and keep metadata fields', () => {
+      const filtered = filterFields({ _id: 'doc-1', ...doc }, { ignoreFields: ['audit.updatedBy', '**.etag'] });
+      
+      assert.strictEqual(filtered._id, 'doc-1');
+      assert.deepStrictEqual(filtered.audit, { updatedAt: 'audit', log: {} });
+      assert.ok(!('etag' in filtered.items[0]));
+    });
+  });
+
   describe('normalizeDocument', () => {
     it('should normalize a complete document', () => {
       const normalized = normalizeDocument(sampleDocuments.user1);
@@ -100,6 +156,13 @@ describe('Normalizer', () => {
       assert.ok(!('age' in normalized));
       assert.ok(!('role' in normalized));
     });
+
+    it('should record the document path only when asked to', () => {
+      const doc = { ...sampleDocuments.user1, path: 'users/user-001' };
+      
+      assert.strictEqual(normalizeDocument(doc, { includePath: true })._path, 'users/user-001');
+      assert.ok(!('_path' in normalizeDocument(doc)));
+    });
   });
 
   describe('normalizeQueryResults', () => {
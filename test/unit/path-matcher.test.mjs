@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parsePath, matchPath, matchPathPrefix, comparePaths } from '../../lib/path-matcher.mjs';
+
+describe('Path matcher', () => {
+  describe('parsePath', () => {
+    it('should split dotted paths and array selectors into segments', () => {
+      assert.deepStrictEqual(parsePath('items[3].price'), ['items', '[3]', 'price']);
+      assert.deepStrictEqual(parsePath('lineItems[sku=A.1].qty'), ['lineItems', '[sku=A.1]', 'qty']);
+      assert.deepStrictEqual(parsePath(''), []);
+    });
+  });
+
+  describe('matchPath', () => {
+    it('should match exact paths', () => {
+      assert.ok(matchPath('user.email', 'user.email'));
+      assert.ok(!matchPath('user.email', 'user.emails'));
+      assert.ok(!matchPath('email', 'user.email'));
+    });
+
+    it('should match a single field with *', () => {
+      assert.ok(matchPath('audit.*', 'audit.updatedAt'));
+      assert.ok(!matchPath('audit.*', 'audit.log.updatedAt'));
+      assert.ok(!matchPath('audit.*', 'audit[0]'));
+    });
+
+    it('should match any array selector with [*]', () => {
+      assert.ok(matchPath('items[*].price', 'items[3].price'));
+      assert.ok(matchPath('items[*].price', 'items[sku=A1].price'));
+      assert.ok(!matchPath('items[*].price', 'items.price'));
+    });
+
+    it('should match any depth with **', () => {
+      assert.ok(matchPath('**.etag', 'etag'));
+      assert.ok(matchPath('**.etag', 'a.b[2].etag'));
+      assert.ok(matchPath('**', 'anything.at.all'));
+      assert.ok(!matchPath('**.etag', 'a.etags'));
+    });
+
+    it('should support wildcards inside a field name', () => {
+      assert.ok(matchPath('price*', 'priceCents'));
+      assert.ok(!matchPath('price*', 'unitPrice'));
+    });
+  });
+
+  describe('matchPathPrefix', () => {
+    it('should report whether a pattern may match below a path', () => {
+      assert.ok(matchPathPrefix('audit.updatedAt', 'audit'));
+      assert.ok(matchPathPrefix('items[*].price', 'items'));
+      assert.ok(matchPathPrefix('items[*].price', 'items[0]'));
+      assert.ok(matchPathPrefix('**.etag', 'any.path'));
+      assert.ok(!matchPathPrefix('audit.updatedAt', 'audit.updatedAt'));
+      assert.ok(!matchPathPrefix('audit.updatedAt', 'profile'));
+    });
+  });
+
+  describe('comparePaths', () => {
+    it('should order array indexes numerically and parents before nested paths', () => {
+      const paths = ['items[10]', 'items[2].sku', 'items[2]', 'audit', 'items[9]'].map(parsePath);
+      
+      assert.deepStrictEqual(paths.sort(comparePaths).map(segments => segments.join('|')), [
+        'audit',
+        'items|[2]',
+        'items|[2]|sku',
+        'items|[9]',
+        'items|[10]'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadPathsFile, parsePathList } from '../../lib/paths-file.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('Paths file', () => {
+  describe('parsePathList', () => {
+    it('should read paths, bare IDs and A -> B pairs', () => {
+      const content = [
+        '# escalation 4412',
+        'users/u1',
+        '',
+        'u2',
+        'users/u3 -> users_v2/u3',
+        'u4 → u4-migrated'
+      ].join('\n');
+      
+      assert.deepStrictEqual(parsePathList(content, { collectionA: 'users', collectionB: 'users_v2' }), [
+        { key: 'users/u1', pathA: 'users/u1', pathB: 'users/u1' },
+        { key: 'users/u2 → users_v2/u2', pathA: 'users/u2', pathB: 'users_v2/u2' },
+        { key: 'users/u3 → users_v2/u3', pathA: 'users/u3', pathB: 'users_v2/u3' },
+        { key: 'users/u4 → users_v2/u4-migrated', pathA: 'users/u4', pathB: 'users_v2/u4-migrated' }
+      ]);
+    });
+
+    it('should skip repeated entries', () => {
+      assert.strictEqual(parsePathList('u1\nu1\nusers/u1', { collectionA: 'users' }).length, 1);
+    });
+
+    it('should reject bare IDs without a collection', () => {
+      assert.throws(() => parsePathList('u1'), /Line 1 of paths file: "u1" is a bare ID/);
+    });
+
+    it('should reject collection paths', () => {
+      assert.throws(() => parsePathList('users/u1\nusers/u1/orders'), /Line 2 of paths file: "users\/u1\/orders" is not a document path/);
+    });
+  });
+
+  describe('loadPathsFile', () => {
+    it('should reject a missing file', async () => {
+      await assert.rejects(loadPathsFile(path.join(__dirname, 'missing.txt')), /Failed to read paths file/);
+    });
+  });
+});
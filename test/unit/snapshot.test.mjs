@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSnapshot } from '../../lib/snapshot.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_DIR = path.resolve(__dirname, '../../output');
+
+describe('Snapshot', () => {
+  describe('loadSnapshot', () => {
+    it('should load the latest sourceA dump from an --output-dir directory', async () => {
+      const snapshot = await loadSnapshot(OUTPUT_DIR);
+      assert.strictEqual(snapshot._id, 'giWS5qNVAH3k3awObRQ1');
+    });
+
+    it('should load a specific dump file', async () => {
+      const snapshot = await loadSnapshot(path.join(OUTPUT_DIR, 'sourceB-2025-08-10T14-15-58.json'));
+      assert.ok(snapshot._id);
+    });
+
+    it('should reject a missing snapshot', async () => {
+      await assert.rejects(loadSnapshot(path.join(OUTPUT_DIR, 'missing.json')), /Snapshot not found/);
+    });
+
+    it('should reject a directory without dumps', async () => {
+      await assert.rejects(loadSnapshot(__dirname), /No sourceA-\*\.json snapshot found/);
+    });
+  });
+});